@@ -1,14 +1,87 @@
+const DEFAULT_OAUTH_CONFIG = {
+  clientId: "",
+  deviceCodeEndpoint: "https://github.com/login/device/code",
+  tokenEndpoint: "https://github.com/login/oauth/access_token",
+};
+
+// Inputs of the OAuth settings, by key of the OAuth configuration
+const OAUTH_CONFIG_FIELDS = {
+  oauthClientId: "clientId",
+  oauthDeviceCodeEndpoint: "deviceCodeEndpoint",
+  oauthTokenEndpoint: "tokenEndpoint",
+};
+
+// Scopes the dashboard cannot work without, and what they are used for
+const REQUIRED_SCOPES = {
+  repo: "read pull requests and CI status of private repositories",
+  "read:org": "list your organizations",
+};
+
+// Scopes only some actions need
+const OPTIONAL_SCOPES = {
+  workflow: "re-run failed CI jobs",
+};
+
+// Broader scopes that include a narrower one
+const IMPLIED_SCOPES = {
+  "read:org": ["write:org", "admin:org"],
+};
+
+/**
+ * Link to the SAML SSO authorization page of the token, appended to error
+ * messages of requests GitHub refused for SSO
+ * @param {string} ssoUrl - URL from the X-GitHub-SSO header
+ * @returns {HTMLAnchorElement}
+ */
+function createSsoLink(ssoUrl) {
+  const link = document.createElement("a");
+  link.href = ssoUrl;
+  link.target = "_blank";
+  link.textContent = "Authorize your token for SSO";
+  return link;
+}
+
 class GitHubAuth {
   constructor() {
     this.organizations = [];
+    this.refreshPromise = null;
     document
       .getElementById("clearDataButton")
       ?.addEventListener("click", () => this.clearAllData());
 
+    document
+      .getElementById("clearToken")
+      ?.addEventListener("click", () => this.signOut());
+
     document.getElementById("saveToken").addEventListener("click", async () => {
       await this.handleTokenSubmit();
     });
-    // @TODO auth err event
+    document
+      .getElementById("deviceFlowButton")
+      .addEventListener("click", async () => {
+        await this.handleDeviceFlowLogin();
+      });
+    this.initOAuthConfigUI();
+    window.addEventListener("authError", () => this.handleAuthError());
+  }
+
+  /**
+   * The token expired or was revoked while using the dashboard: go back to
+   * the token step, and resume the current organization and view (kept in
+   * the URL) once signed in again
+   */
+  handleAuthError() {
+    // Already on the token step, e.g. while validating a new token
+    if (!document.getElementById("tokenStep").classList.contains("hidden")) {
+      return;
+    }
+
+    this.removeToken();
+    this.resumeAfterSignIn = true;
+    this.show();
+    this.showError(
+      "Your GitHub token expired or was revoked. Please sign in again to resume where you left off.",
+    );
   }
 
   async handleTokenSubmit() {
@@ -21,21 +94,355 @@ class GitHubAuth {
     }
 
     this.showLoading("Validating token...");
-    localStorage.setItem("github_token", token);
+    this.saveToken({ accessToken: token });
+
+    if (await this.completeSignIn()) {
+      tokenInput.value = "";
+    }
+  }
 
+  /**
+   * Validate the stored token by listing the user organizations, then move
+   * on to the organization step
+   * @returns {Promise<boolean>} - Whether the token is valid
+   */
+  async completeSignIn() {
     try {
+      await window.githubAPI.clearHttpCache();
+      const diagnostics = await this.checkTokenScopes();
+      if (diagnostics.missingRequired.length > 0) {
+        this.removeToken();
+        this.hideLoading();
+        this.showError(
+          `Your token is missing required scopes: ${diagnostics.missingRequired
+            .map((scope) => `${scope} (to ${REQUIRED_SCOPES[scope]})`)
+            .join(", ")}.`,
+        );
+        return false;
+      }
+
       await window.githubAPI.getUserOrganizations();
 
-      tokenInput.value = "";
       this.hideError();
-      window.org.show();
+      this.hideLoading();
+      this.hide();
+      if (this.resumeAfterSignIn && window.org.selectedOrganization) {
+        this.resumeAfterSignIn = false;
+        window.main.show(window.org.selectedOrganization);
+      } else {
+        window.org.show();
+      }
+      return true;
     } catch (error) {
-      localStorage.removeItem("github_token");
+      this.removeToken();
       this.hideLoading();
       this.showError(
-        "Invalid GitHub token. Please check your token and try again.",
+        error.status === 401 || !error.status
+          ? "Invalid GitHub token. Please check your token and try again."
+          : error.message,
+        error.ssoUrl,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Check the scopes of the current token and show what is missing
+   * @returns {Promise<Object>} - { missingRequired, missingOptional, ssoOrganizationIds }
+   */
+  async checkTokenScopes() {
+    const { scopes, ssoOrganizationIds } =
+      await window.githubAPI.getTokenInfo();
+    this.scopes = scopes;
+
+    const diagnostics = {
+      missingRequired: Object.keys(REQUIRED_SCOPES).filter((scope) =>
+        this.isMissingScope(scope),
+      ),
+      missingOptional: Object.keys(OPTIONAL_SCOPES).filter((scope) =>
+        this.isMissingScope(scope),
+      ),
+      ssoOrganizationIds,
+    };
+    this.showDiagnostics(diagnostics);
+    return diagnostics;
+  }
+
+  /**
+   * Whether the token is known to lack a scope. Fine-grained tokens do not
+   * report scopes, so they are never considered missing one.
+   * @param {string} scope - OAuth scope, e.g. "workflow"
+   * @returns {boolean}
+   */
+  isMissingScope(scope) {
+    if (!this.scopes) return false;
+    const accepted = [scope, ...(IMPLIED_SCOPES[scope] || [])];
+    return !accepted.some((s) => this.scopes.includes(s));
+  }
+
+  showDiagnostics({ missingOptional, ssoOrganizationIds }) {
+    const diagnosticsDiv = document.getElementById("tokenDiagnostics");
+    const messages = missingOptional.map(
+      (scope) =>
+        `Your token is missing the <code>${scope}</code> scope, needed to ${OPTIONAL_SCOPES[scope]}.`,
+    );
+    if (ssoOrganizationIds.length > 0) {
+      const count = ssoOrganizationIds.length;
+      // GitHub only sends the authorization URL along with a refused request
+      const ssoUrl =
+        window.githubAPI.ssoUrl || "https://github.com/settings/tokens";
+      messages.push(
+        `${count} organization${count === 1 ? " uses" : "s use"} SAML single sign-on and ${count === 1 ? "is" : "are"} hidden until you <a href="${ssoUrl}" target="_blank">authorize your token for SSO</a>.`,
       );
     }
+
+    diagnosticsDiv.innerHTML = messages.map((m) => `<p>${m}</p>`).join("");
+    diagnosticsDiv.style.display = messages.length > 0 ? "block" : "none";
+  }
+
+  /**
+   * Sign in with the OAuth device flow: request a user code, show it with
+   * the verification link, then poll the token endpoint until the user
+   * authorizes the app in another tab
+   */
+  async handleDeviceFlowLogin() {
+    const config = this.oauthConfig;
+    if (!config.clientId) {
+      this.showError("Please configure an OAuth client ID first");
+      document.getElementById("oauthSettings").open = true;
+      return;
+    }
+
+    this.hideError();
+    this.showLoading("Requesting device code...");
+
+    try {
+      const device = await this.oauthRequest(config.deviceCodeEndpoint, {
+        client_id: config.clientId,
+        scope: "repo read:org workflow",
+      });
+
+      this.showDeviceCode(device.user_code, device.verification_uri);
+      this.showLoading("Waiting for authorization on GitHub...");
+
+      const tokenResponse = await this.pollDeviceToken(config, device);
+      this.hideDeviceCode();
+      this.saveToken(this.parseTokenResponse(tokenResponse));
+      this.showLoading("Validating token...");
+      await this.completeSignIn();
+    } catch (error) {
+      console.error("Device flow login failed:", error);
+      this.hideDeviceCode();
+      this.hideLoading();
+      this.showError(`GitHub sign-in failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Poll the token endpoint following the device flow protocol
+   * @param {Object} config - OAuth configuration
+   * @param {Object} device - Device code response
+   * @returns {Promise<Object>} - Token response
+   */
+  async pollDeviceToken(config, device) {
+    let interval = (device.interval || 5) * 1000;
+    const expiresAt = Date.now() + device.expires_in * 1000;
+
+    while (Date.now() < expiresAt) {
+      await new Promise((resolve) => setTimeout(resolve, interval));
+
+      const response = await this.oauthRequest(config.tokenEndpoint, {
+        client_id: config.clientId,
+        device_code: device.device_code,
+        grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+      });
+
+      if (response.access_token) {
+        return response;
+      }
+
+      switch (response.error) {
+        case "authorization_pending":
+          break;
+        case "slow_down":
+          interval = (response.interval || interval / 1000 + 5) * 1000;
+          break;
+        default:
+          throw new Error(response.error_description || response.error);
+      }
+    }
+
+    throw new Error("The device code expired before it was authorized");
+  }
+
+  /**
+   * Exchange the refresh token for a new access token. Concurrent callers
+   * share the same in-flight refresh.
+   * @returns {Promise<string|null>} - New access token, null if it could not be refreshed
+   */
+  refreshToken() {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    const meta = this.tokenMeta;
+    const config = this.oauthConfig;
+    // Keep the refreshed token where the user chose to store the original one
+    const storage = this.tokenStorage;
+    this.refreshPromise = this.oauthRequest(config.tokenEndpoint, {
+      client_id: config.clientId,
+      grant_type: "refresh_token",
+      refresh_token: meta.refreshToken,
+    })
+      .then((response) => {
+        if (!response.access_token) {
+          throw new Error(response.error_description || response.error);
+        }
+        this.saveToken(this.parseTokenResponse(response), storage);
+        return response.access_token;
+      })
+      .catch((error) => {
+        console.error("Error refreshing GitHub token:", error);
+        return null;
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+
+    return this.refreshPromise;
+  }
+
+  async oauthRequest(endpoint, params) {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams(params),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  parseTokenResponse(response) {
+    const now = Date.now();
+    return {
+      accessToken: response.access_token,
+      refreshToken: response.refresh_token,
+      expiresAt: response.expires_in ? now + response.expires_in * 1000 : null,
+      refreshTokenExpiresAt: response.refresh_token_expires_in
+        ? now + response.refresh_token_expires_in * 1000
+        : null,
+    };
+  }
+
+  /**
+   * Store a token in localStorage, or in sessionStorage when the user asked
+   * not to keep it beyond the browser session
+   * @param {Object} token
+   * @param {string} token.accessToken - Access token
+   * @param {string} token.refreshToken - Refresh token (OAuth only)
+   * @param {number} token.expiresAt - Access token expiry timestamp (OAuth only)
+   * @param {number} token.refreshTokenExpiresAt - Refresh token expiry timestamp (OAuth only)
+   * @param {Storage} storage - Where to keep the token (default: based on the session-only checkbox)
+   */
+  saveToken({ accessToken, ...meta }, storage = null) {
+    if (!storage) {
+      const sessionOnly = document.getElementById("sessionOnlyToken").checked;
+      storage = sessionOnly ? sessionStorage : localStorage;
+    }
+
+    this.removeToken();
+    storage.setItem("github_token", accessToken);
+    if (meta.expiresAt || meta.refreshToken) {
+      storage.setItem("github_token_meta", JSON.stringify(meta));
+    }
+  }
+
+  removeToken() {
+    [localStorage, sessionStorage].forEach((storage) => {
+      storage.removeItem("github_token");
+      storage.removeItem("github_token_meta");
+    });
+  }
+
+  /**
+   * Remove the token and everything fetched with it, then go back to the
+   * token step
+   */
+  signOut() {
+    this.removeToken();
+    this.resumeAfterSignIn = false;
+    this.scopes = null;
+    window.githubAPI.clearAllCaches();
+    localStorage.removeItem("github_pr_states");
+    window.offlineQueue.clear();
+    document.getElementById("tokenDiagnostics").style.display = "none";
+    document.getElementById("githubToken").value = "";
+    this.hideLoading();
+    this.hideError();
+    this.show();
+  }
+
+  /**
+   * Sign out and also forget every preference stored by the dashboard
+   */
+  clearAllData() {
+    if (
+      !confirm(
+        "Sign out and remove all data stored by the dashboard in this browser?",
+      )
+    ) {
+      return;
+    }
+
+    this.signOut();
+    [localStorage, sessionStorage].forEach((storage) => {
+      Object.keys(storage)
+        .filter((key) => key.startsWith("github_"))
+        .forEach((key) => storage.removeItem(key));
+    });
+    this.updateOAuthConfigUI();
+  }
+
+  showDeviceCode(userCode, verificationUri) {
+    const statusDiv = document.getElementById("deviceFlowStatus");
+    statusDiv.innerHTML = `
+      <p>Open <a href="${verificationUri}" target="_blank">${verificationUri}</a> and enter the code:</p>
+      <code class="device-user-code">${userCode}</code>
+    `;
+    statusDiv.style.display = "block";
+  }
+
+  hideDeviceCode() {
+    document.getElementById("deviceFlowStatus").style.display = "none";
+  }
+
+  initOAuthConfigUI() {
+    Object.entries(OAUTH_CONFIG_FIELDS).forEach(([elementId, key]) => {
+      const input = document.getElementById(elementId);
+      input.addEventListener("change", () => {
+        const newConfig = this.oauthConfig;
+        newConfig[key] = input.value.trim() || DEFAULT_OAUTH_CONFIG[key];
+        localStorage.setItem("github_oauth_config", JSON.stringify(newConfig));
+      });
+    });
+    this.updateOAuthConfigUI();
+  }
+
+  updateOAuthConfigUI() {
+    const config = this.oauthConfig;
+    Object.entries(OAUTH_CONFIG_FIELDS).forEach(([elementId, key]) => {
+      document.getElementById(elementId).value = config[key];
+    });
+  }
+
+  get oauthConfig() {
+    const raw = localStorage.getItem("github_oauth_config");
+    return { ...DEFAULT_OAUTH_CONFIG, ...(raw ? JSON.parse(raw) : {}) };
   }
 
   hide() {
@@ -48,10 +455,17 @@ class GitHubAuth {
     document.getElementById("tokenStep")?.classList.remove("hidden");
   }
 
-  showError(message) {
+  /**
+   * @param {string} message - Error message
+   * @param {string} ssoUrl - SAML SSO authorization URL to link to (optional)
+   */
+  showError(message, ssoUrl = null) {
     const errorDiv = document.getElementById("authError");
     if (errorDiv) {
       errorDiv.textContent = message;
+      if (ssoUrl) {
+        errorDiv.append(" ", createSsoLink(ssoUrl));
+      }
       errorDiv.style.display = "block";
     }
   }
@@ -78,8 +492,36 @@ class GitHubAuth {
     }
   }
 
+  get tokenStorage() {
+    return sessionStorage.getItem("github_token")
+      ? sessionStorage
+      : localStorage;
+  }
+
   get token() {
-    return localStorage.getItem("github_token");
+    return this.tokenStorage.getItem("github_token");
+  }
+
+  get tokenMeta() {
+    const raw = this.tokenStorage.getItem("github_token_meta");
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  /**
+   * Get the access token, refreshing it first when it expires within a minute
+   * @returns {Promise<string|null>} - Access token
+   */
+  async getToken() {
+    const meta = this.tokenMeta;
+    const expiresSoon = meta.expiresAt && Date.now() > meta.expiresAt - 60000;
+    const canRefresh =
+      meta.refreshToken &&
+      (!meta.refreshTokenExpiresAt || Date.now() < meta.refreshTokenExpiresAt);
+
+    if (expiresSoon && canRefresh) {
+      return (await this.refreshToken()) || this.token;
+    }
+    return this.token;
   }
 }
 
@@ -1,11 +1,20 @@
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((error) => {
+    console.warn("Service worker registration failed:", error);
+  });
+}
+
 // Initialize the dashboard when the page loads
 document.addEventListener("DOMContentLoaded", () => {
-  if (!localStorage.getItem("github_token")) {
+  if (!window.auth.token) {
     console.log("No GitHub token found, showing token step.");
     window.auth.show();
     return;
   }
   console.log("GitHub token found.");
+  window.auth.checkTokenScopes().catch((error) => {
+    console.warn("Could not check token scopes:", error);
+  });
 
   if (!window.org.selectedOrganization) {
     console.log("No organization selected, showing organization step.");
@@ -35,3 +44,65 @@ window.addEventListener("organizationChanged", (event) => {
   window.main.show(orgName);
 });
 
+window.addEventListener("viewChanged", (event) => {
+  const { view, customQuery } = event.detail;
+  const url = new URL(window.location);
+  if (view && view !== DEFAULT_VIEW) {
+    url.searchParams.set("view", view);
+  } else {
+    url.searchParams.delete("view");
+  }
+  if (view === "custom" && customQuery) {
+    url.searchParams.set("q", customQuery);
+  } else {
+    url.searchParams.delete("q");
+  }
+  window.history.pushState({}, "", url);
+  window.main.show(window.org.selectedOrganization);
+});
+
+window.addEventListener("sortChanged", (event) => {
+  const url = new URL(window.location);
+  url.searchParams.set("sort", event.detail.sort);
+  window.history.pushState({}, "", url);
+  window.sorter.updateUI();
+  window.main.applySortOrder();
+});
+
+window.addEventListener("filterChanged", (event) => {
+  const { search, filter } = event.detail;
+  const url = new URL(window.location);
+  if (search) {
+    url.searchParams.set("search", search);
+  } else {
+    url.searchParams.delete("search");
+  }
+  if (filter) {
+    url.searchParams.set("filter", filter);
+  } else {
+    url.searchParams.delete("filter");
+  }
+  // Replace instead of push so typing does not add a history entry per key
+  window.history.replaceState({}, "", url);
+  window.main.applyFilters();
+});
+
+window.addEventListener("groupChanged", (event) => {
+  const group = event.detail.group;
+  const url = new URL(window.location);
+  if (group && group !== DEFAULT_GROUP_BY) {
+    url.searchParams.set("group", group);
+  } else {
+    url.searchParams.delete("group");
+  }
+  window.history.pushState({}, "", url);
+  window.grouper.updateUI();
+  window.main.applyGrouping();
+});
+
+window.addEventListener("conventionsChanged", () => {
+  // Rows are rebuilt since ticket links and sections depend on the rules
+  if (window.main.organization) {
+    window.main.show(window.main.organization);
+  }
+});
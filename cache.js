@@ -0,0 +1,214 @@
+/**
+ * LRU cache persisted in IndexedDB, split in namespaces (e.g.
+ * "github_failed_checks"). Each namespace has a version, bumping it drops
+ * its entries, and is trimmed to a maximum number of entries by evicting
+ * the least recently used ones.
+ *
+ * Every method resolves even when IndexedDB is unavailable or full: the
+ * cache then behaves as if it was empty.
+ */
+class LRUCacheStore {
+  constructor(dbName = "github_pr_dashboard") {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object stores on first use
+   * @returns {Promise<IDBDatabase|null>} - Database, null if IndexedDB is unavailable
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const entries = db.createObjectStore("entries", {
+          keyPath: ["namespace", "key"],
+        });
+        entries.createIndex("byUsedAt", ["namespace", "usedAt"]);
+        db.createObjectStore("namespaces", { keyPath: "namespace" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("IndexedDB unavailable, caching disabled:", request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a function inside a transaction and wait for it to complete
+   * @param {Array<string>} storeNames - Object stores used
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} fn - Receives the transaction, its return value is resolved
+   * @returns {Promise<*>}
+   */
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result = null;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      result = fn(tx);
+    });
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} - Cached data, null when missing
+   */
+  async get(namespace, key) {
+    try {
+      const entry = await this.transaction(["entries"], "readwrite", (tx) => {
+        const store = tx.objectStore("entries");
+        const found = {};
+        store.get([namespace, key]).onsuccess = (event) => {
+          const value = event.target.result;
+          if (!value) return;
+          found.data = value.data;
+          value.usedAt = Date.now();
+          store.put(value);
+        };
+        return found;
+      });
+      return entry && "data" in entry ? entry.data : null;
+    } catch (error) {
+      console.warn(`Error reading ${namespace} cache:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry. When the storage quota is exceeded, half of the
+   * namespace is evicted and the write retried once.
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Entry key
+   * @param {*} data - Structured-cloneable data
+   * @param {boolean} retry - Whether to retry after a quota error
+   */
+  async set(namespace, key, data, retry = true) {
+    try {
+      await this.transaction(["entries"], "readwrite", (tx) => {
+        tx.objectStore("entries").put({
+          namespace,
+          key,
+          data,
+          usedAt: Date.now(),
+        });
+      });
+    } catch (error) {
+      if (retry && error && error.name === "QuotaExceededError") {
+        try {
+          const count = await this.count(namespace);
+          await this.trim(namespace, Math.floor(count / 2));
+        } catch (trimError) {
+          console.warn(`Error trimming ${namespace} cache:`, trimError);
+        }
+        await this.set(namespace, key, data, false);
+        return;
+      }
+      console.warn(`Error writing ${namespace} cache:`, error);
+    }
+  }
+
+  /**
+   * Drop the namespace when its version changed, otherwise keep only the
+   * most recently used entries
+   * @param {string} namespace - Cache namespace
+   * @param {number} version - Current version of the cached data format
+   * @param {number} maxSize - Maximum number of entries to keep (default: 100)
+   */
+  async evict(namespace, version, maxSize = 100) {
+    try {
+      const stored = await this.transaction(
+        ["namespaces"],
+        "readonly",
+        (tx) => {
+          const found = {};
+          tx.objectStore("namespaces").get(namespace).onsuccess = (event) => {
+            found.version = event.target.result?.version;
+          };
+          return found;
+        },
+      );
+
+      if (!stored || stored.version !== version) {
+        await this.clear(namespace);
+        await this.transaction(["namespaces"], "readwrite", (tx) => {
+          tx.objectStore("namespaces").put({ namespace, version });
+        });
+        return;
+      }
+
+      await this.trim(namespace, maxSize);
+    } catch (error) {
+      console.warn(`Error evicting ${namespace} cache:`, error);
+    }
+  }
+
+  async count(namespace) {
+    return await this.transaction(["entries"], "readonly", (tx) => {
+      const result = { count: 0 };
+      const range = IDBKeyRange.bound([namespace], [namespace, []]);
+      tx.objectStore("entries").count(range).onsuccess = (event) => {
+        result.count = event.target.result;
+      };
+      return result;
+    }).then((result) => (result ? result.count : 0));
+  }
+
+  /**
+   * Delete the least recently used entries beyond maxSize
+   * @param {string} namespace - Cache namespace
+   * @param {number} maxSize - Number of entries to keep
+   */
+  async trim(namespace, maxSize) {
+    const count = await this.count(namespace);
+    let toDelete = count - maxSize;
+    if (toDelete <= 0) return;
+
+    await this.transaction(["entries"], "readwrite", (tx) => {
+      const range = IDBKeyRange.bound([namespace, 0], [namespace, Infinity]);
+      const index = tx.objectStore("entries").index("byUsedAt");
+      // Oldest usedAt first
+      index.openCursor(range).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || toDelete <= 0) return;
+        cursor.delete();
+        toDelete--;
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Delete every entry of a namespace
+   * @param {string} namespace - Cache namespace
+   */
+  async clear(namespace) {
+    try {
+      await this.transaction(["entries", "namespaces"], "readwrite", (tx) => {
+        const range = IDBKeyRange.bound([namespace], [namespace, []]);
+        tx.objectStore("entries").delete(range);
+        tx.objectStore("namespaces").delete(namespace);
+      });
+    } catch (error) {
+      console.warn(`Error clearing ${namespace} cache:`, error);
+    }
+  }
+}
@@ -0,0 +1,190 @@
+// Title conventions used before they became configurable
+const DEFAULT_TITLE_CONVENTIONS = {
+  ticketPattern: "[A-Z]+-\\d+",
+  ticketUrlTemplate: "https://hoverinc.atlassian.net/browse/{key}",
+  tags: ["POC"],
+};
+
+/**
+ * Settings-driven rules to read PR titles and branch names:
+ * - ticketPattern: regex of a ticket key, detected as a "[KEY]" title
+ *   prefix or anywhere in the head branch name
+ * - ticketUrlTemplate: link of a ticket, where {key}, {number} (digits of
+ *   the key), {owner} and {repo} are replaced
+ * - tags: title tags, e.g. "[POC]", routing PRs to their own section
+ */
+class TitleConventions {
+  constructor() {
+    this.storageKey = "github_title_conventions";
+    this.compile();
+
+    document
+      .getElementById("saveConventionsButton")
+      .addEventListener("click", () => this.saveFromForm());
+    document
+      .getElementById("resetConventionsButton")
+      .addEventListener("click", () => {
+        localStorage.removeItem(this.storageKey);
+        this.applyChange();
+      });
+
+    this.updateUI();
+  }
+
+  get settings() {
+    const raw = localStorage.getItem(this.storageKey);
+    return { ...DEFAULT_TITLE_CONVENTIONS, ...(raw ? JSON.parse(raw) : {}) };
+  }
+
+  compile() {
+    const { ticketPattern } = this.settings;
+    try {
+      this.titleTicketRegex = new RegExp(`^\\[(${ticketPattern})\\]\\s*`);
+      this.branchTicketRegex = new RegExp(ticketPattern);
+    } catch (error) {
+      console.warn("Invalid ticket pattern, ticket keys disabled:", error);
+      this.titleTicketRegex = null;
+      this.branchTicketRegex = null;
+    }
+  }
+
+  /**
+   * Ticket key of a PR, from its title prefix or else its branch name
+   * @param {PullRequest} pr - Pull request
+   * @returns {string|null}
+   */
+  ticketKey(pr) {
+    if (!this.titleTicketRegex) return null;
+    const titleMatch = pr.title.match(this.titleTicketRegex);
+    if (titleMatch) return titleMatch[1];
+    const branchMatch = (pr.headRefName || "").match(this.branchTicketRegex);
+    return branchMatch ? branchMatch[0] : null;
+  }
+
+  titleWithoutTicket(title) {
+    return this.titleTicketRegex
+      ? title.replace(this.titleTicketRegex, "")
+      : title;
+  }
+
+  ticketUrl(key, pr) {
+    const [owner, repo] = pr.repository.nameWithOwner.split("/");
+    const number = (key.match(/\d+/) || [""])[0];
+    return this.settings.ticketUrlTemplate
+      .replaceAll("{key}", encodeURIComponent(key))
+      .replaceAll("{number}", number)
+      .replaceAll("{owner}", owner)
+      .replaceAll("{repo}", repo);
+  }
+
+  /**
+   * Configured tag among the leading "[...]" groups of a title
+   * @param {string} title - PR title
+   * @returns {string|null} - Tag as configured, e.g. "POC"
+   */
+  sectionTag(title) {
+    const prefix = title.match(/^(\s*\[[^\]]+\])+/);
+    if (!prefix) return null;
+    const titleTags = Array.from(prefix[0].matchAll(/\[([^\]]+)\]/g)).map(
+      (match) => match[1].trim().toLowerCase(),
+    );
+    return (
+      this.settings.tags.find((tag) => titleTags.includes(tag.toLowerCase())) ||
+      null
+    );
+  }
+
+  saveFromForm() {
+    const ticketPattern = document
+      .getElementById("ticketPatternInput")
+      .value.trim();
+    const errorElement = document.getElementById("conventionsError");
+    try {
+      new RegExp(ticketPattern);
+    } catch (error) {
+      errorElement.textContent = `Invalid regex: ${error.message}`;
+      return;
+    }
+    errorElement.textContent = "";
+
+    localStorage.setItem(
+      this.storageKey,
+      JSON.stringify({
+        ticketPattern,
+        ticketUrlTemplate: document
+          .getElementById("ticketUrlTemplateInput")
+          .value.trim(),
+        tags: document
+          .getElementById("titleTagsInput")
+          .value.split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
+      }),
+    );
+    this.applyChange();
+  }
+
+  applyChange() {
+    this.compile();
+    this.updateUI();
+    window.dispatchEvent(new CustomEvent("conventionsChanged"));
+  }
+
+  updateUI() {
+    const settings = this.settings;
+    document.getElementById("ticketPatternInput").value =
+      settings.ticketPattern;
+    document.getElementById("ticketUrlTemplateInput").value =
+      settings.ticketUrlTemplate;
+    document.getElementById("titleTagsInput").value = settings.tags.join(", ");
+    this.renderSections();
+  }
+
+  /**
+   * Create a collapsible section, with a copy of the main table header, for
+   * every configured tag
+   */
+  renderSections() {
+    const container = document.getElementById("tagSections");
+    container.innerHTML = "";
+
+    this.settings.tags.forEach((tag) => {
+      const section = document.createElement("details");
+      section.className = "tag-section";
+      section.dataset.tag = tag;
+      section.style.display = "none";
+
+      const summary = document.createElement("summary");
+      const count = document.createElement("span");
+      count.className = "tag-section-count";
+      count.textContent = "0";
+      summary.append(`${tag} Pull Requests (`, count, ")");
+      section.appendChild(summary);
+
+      const tableContainer = document.createElement("div");
+      tableContainer.className = "table-container";
+      const table = document.createElement("table");
+      table.appendChild(
+        document.querySelector("#prTable thead").cloneNode(true),
+      );
+      table.appendChild(document.createElement("tbody"));
+      tableContainer.appendChild(table);
+      section.appendChild(tableContainer);
+
+      container.appendChild(section);
+    });
+  }
+
+  /**
+   * Table body of the section of a tag
+   * @param {string} tag - Configured tag
+   * @returns {HTMLTableSectionElement}
+   */
+  sectionBody(tag) {
+    return Array.from(document.querySelectorAll(".tag-section"))
+      .find((section) => section.dataset.tag === tag)
+      .querySelector("tbody");
+  }
+}
+
+window.conventions = new TitleConventions();
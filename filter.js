@@ -0,0 +1,226 @@
+// Facets of the filter bar. Each chip value is OR'ed with the other values
+// of its facet, facets are AND'ed together.
+const FILTER_FACETS = {
+  repo: {
+    label: "Repository",
+    values: (pr) => [pr.repository.nameWithOwner],
+    chipLabel: (value) => value.split("/")[1],
+  },
+  author: {
+    label: "Author",
+    values: (pr) => [pr.author ? pr.author.login : "ghost"],
+  },
+  draft: {
+    label: "Draft",
+    values: (pr) => [pr.isDraft ? "draft" : "ready"],
+    chipLabel: (value) => (value === "draft" ? "Draft" : "Ready for review"),
+  },
+  review: {
+    label: "Review",
+    values: (pr) => [pr.reviewDecision || "none"],
+    chipLabel: (value) =>
+      ({
+        APPROVED: "Approved",
+        CHANGES_REQUESTED: "Changes requested",
+        REVIEW_REQUIRED: "Review required",
+        none: "No review needed",
+      })[value] || value,
+  },
+  ci: {
+    label: "CI",
+    values: (pr) => {
+      const statusRollup = pr.getStatusCheckRollup();
+      return [statusRollup ? statusRollup.state : "none"];
+    },
+    chipLabel: (value) =>
+      ({
+        SUCCESS: "Passing",
+        FAILURE: "Failing",
+        ERROR: "Errored",
+        PENDING: "Pending",
+        EXPECTED: "Expected",
+        none: "No checks",
+      })[value] || value,
+  },
+  conflicts: {
+    label: "Conflicts",
+    values: (pr) => [pr.hasMergeConflicts ? "yes" : "no"],
+    chipLabel: (value) => (value === "yes" ? "Conflicts" : "No conflicts"),
+  },
+  behind: {
+    label: "Base",
+    values: (pr) => [
+      pr.isBehindMainBranch || pr.behindCount > 0 ? "yes" : "no",
+    ],
+    chipLabel: (value) => (value === "yes" ? "Behind base" : "Up to date"),
+  },
+};
+
+/**
+ * Filter bar of the PR tables: free text search over title, repository,
+ * branch and ticket key, plus facet chips. The text is kept in the "search"
+ * URL parameter, the selected chips in "filter" as a comma separated list
+ * of facet:value pairs, e.g. "author:octocat,ci:FAILURE".
+ */
+class PullRequestFilter {
+  constructor() {
+    const searchInput = document.getElementById("filterSearch");
+    searchInput.addEventListener("input", () => {
+      this.dispatchFilterChanged(searchInput.value, this.selectedValues);
+    });
+
+    document
+      .getElementById("clearFiltersButton")
+      .addEventListener("click", () => this.dispatchFilterChanged("", {}));
+  }
+
+  get searchText() {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get("search") || "";
+  }
+
+  /**
+   * Chips selected in the URL
+   * @returns {Object} - Selected values by facet, e.g. { ci: ["FAILURE"] }
+   */
+  get selectedValues() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const selected = {};
+    (urlParams.get("filter") || "")
+      .split(",")
+      .filter(Boolean)
+      .forEach((pair) => {
+        const separator = pair.indexOf(":");
+        const facet = pair.slice(0, separator);
+        if (separator === -1 || !FILTER_FACETS[facet]) return;
+        selected[facet] = [
+          ...(selected[facet] || []),
+          pair.slice(separator + 1),
+        ];
+      });
+    return selected;
+  }
+
+  get isActive() {
+    return !!this.searchText || Object.keys(this.selectedValues).length > 0;
+  }
+
+  /**
+   * Whether a PR matches the search text and the selected chips
+   * @param {PullRequest} pr - Pull request
+   * @returns {boolean}
+   */
+  matches(pr) {
+    const searchText = this.searchText.trim().toLowerCase();
+    if (searchText) {
+      const haystack = [
+        pr.title,
+        pr.repository.nameWithOwner,
+        pr.headRefName,
+        pr.getTicketKey(),
+      ]
+        .filter(Boolean)
+        .join("\n")
+        .toLowerCase();
+      const terms = searchText.split(/\s+/);
+      if (!terms.every((term) => haystack.includes(term))) {
+        return false;
+      }
+    }
+
+    return Object.entries(this.selectedValues).every(([facet, values]) =>
+      FILTER_FACETS[facet].values(pr).some((value) => values.includes(value)),
+    );
+  }
+
+  /**
+   * Toggle a chip on or off
+   * @param {string} facet - Key of FILTER_FACETS
+   * @param {string} value - Facet value
+   */
+  toggleValue(facet, value) {
+    const selected = this.selectedValues;
+    const values = selected[facet] || [];
+    selected[facet] = values.includes(value)
+      ? values.filter((v) => v !== value)
+      : [...values, value];
+    if (selected[facet].length === 0) {
+      delete selected[facet];
+    }
+    this.dispatchFilterChanged(this.searchText, selected);
+  }
+
+  dispatchFilterChanged(search, selected) {
+    const filter = Object.entries(selected)
+      .flatMap(([facet, values]) => values.map((value) => `${facet}:${value}`))
+      .join(",");
+    window.dispatchEvent(
+      new CustomEvent("filterChanged", {
+        detail: { search, filter },
+      }),
+    );
+  }
+
+  /**
+   * Render the facet chips for the loaded PRs, with the number of PRs
+   * having each value. Selected chips are kept even when no PR has their
+   * value anymore so they can be turned off.
+   * @param {Array<PullRequest>} pullRequests - All loaded PRs, including tagged ones
+   */
+  renderChips(pullRequests) {
+    const container = document.getElementById("filterChips");
+    container.innerHTML = "";
+    const selected = this.selectedValues;
+
+    Object.entries(FILTER_FACETS).forEach(([facet, config]) => {
+      const counts = new Map();
+      (selected[facet] || []).forEach((value) => counts.set(value, 0));
+      pullRequests.forEach((pr) => {
+        config.values(pr).forEach((value) => {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+      // A facet all PRs share does not narrow anything
+      if (counts.size < 2 && !selected[facet]) return;
+
+      const group = document.createElement("div");
+      group.className = "filter-facet";
+      const label = document.createElement("span");
+      label.className = "filter-facet-label";
+      label.textContent = `${config.label}:`;
+      group.appendChild(label);
+
+      Array.from(counts.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([value, count]) => {
+          const chip = document.createElement("button");
+          chip.className = "filter-chip";
+          chip.classList.toggle(
+            "selected",
+            (selected[facet] || []).includes(value),
+          );
+          chip.textContent = `${config.chipLabel ? config.chipLabel(value) : value} (${count})`;
+          chip.addEventListener("click", () => this.toggleValue(facet, value));
+          group.appendChild(chip);
+        });
+
+      container.appendChild(group);
+    });
+  }
+
+  /**
+   * Sync the search input and clear button with the URL state
+   */
+  updateUI() {
+    const searchInput = document.getElementById("filterSearch");
+    // Do not move the caret while the user is typing
+    if (searchInput.value !== this.searchText) {
+      searchInput.value = this.searchText;
+    }
+    document
+      .getElementById("clearFiltersButton")
+      .classList.toggle("hidden", !this.isActive);
+  }
+}
+
+window.filter = new PullRequestFilter();
@@ -0,0 +1,133 @@
+// Conclusions counted as a failure of a check
+const FLAKY_FAILURE_CONCLUSIONS = ["failure", "timed_out"];
+
+/**
+ * Local history of check outcomes by repository and check name, kept in the
+ * "github_check_history" cache namespace. A check is flaky on a commit when
+ * it failed and then passed on a re-run of that same commit; its flake rate
+ * is the share of the commits it failed on where that happened.
+ */
+class FlakyCheckTracker {
+  constructor() {
+    this.namespace = "github_check_history";
+    // Commits remembered per check
+    this.maxCommits = 30;
+    // Serializes read-modify-write cycles on the history
+    this.queue = Promise.resolve();
+  }
+
+  get cache() {
+    return window.githubAPI.cache;
+  }
+
+  /**
+   * Record check outcomes observed on a commit
+   * @param {string} repoNameWithOwner - Repository name with owner (e.g., "owner/repo")
+   * @param {string} sha - Commit SHA
+   * @param {Array<Object>} outcomes - { name, conclusion } of completed checks
+   * @returns {Promise<void>}
+   */
+  record(repoNameWithOwner, sha, outcomes) {
+    const task = this.queue.then(async () => {
+      for (const { name, conclusion } of outcomes) {
+        const failed = FLAKY_FAILURE_CONCLUSIONS.includes(conclusion);
+        if (!failed && conclusion !== "success") continue;
+
+        const key = `${repoNameWithOwner}|${name}`;
+        const history = (await this.cache.get(this.namespace, key)) || {
+          commits: {},
+        };
+        const commit = history.commits[sha] || {};
+        const field = failed ? "failedAt" : "passedAt";
+        if (commit[field]) continue;
+
+        commit[field] = Date.now();
+        history.commits[sha] = commit;
+        this.trimCommits(history);
+        await this.cache.set(this.namespace, key, history);
+      }
+    });
+    this.queue = task.catch((error) => {
+      console.warn("Error recording check history:", error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Record the checks that failed on a commit as passed, once GitHub
+   * reports its whole CI as successful
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   */
+  async recordSuccess(owner, repo, sha) {
+    const failedChecks = await this.cache.get(
+      "github_failed_checks",
+      `${owner}/${repo}/${sha}`,
+    );
+    if (!failedChecks || failedChecks.length === 0) return;
+
+    await this.record(
+      `${owner}/${repo}`,
+      sha,
+      failedChecks.map((check) => ({
+        name: check.name,
+        conclusion: "success",
+      })),
+    );
+  }
+
+  trimCommits(history) {
+    const shas = Object.keys(history.commits);
+    if (shas.length <= this.maxCommits) return;
+
+    const lastSeen = (sha) => {
+      const commit = history.commits[sha];
+      return Math.max(commit.failedAt || 0, commit.passedAt || 0);
+    };
+    shas
+      .sort((a, b) => lastSeen(a) - lastSeen(b))
+      .slice(0, shas.length - this.maxCommits)
+      .forEach((sha) => delete history.commits[sha]);
+  }
+
+  /**
+   * Flakiness of a check
+   * @param {string} repoNameWithOwner - Repository name with owner (e.g., "owner/repo")
+   * @param {string} name - Check name
+   * @returns {Promise<Object|null>} - { flakes, failures, rate }, null if it never flaked
+   */
+  async getStats(repoNameWithOwner, name) {
+    await this.queue;
+    const history = await this.cache.get(
+      this.namespace,
+      `${repoNameWithOwner}|${name}`,
+    );
+    if (!history) return null;
+
+    const failedCommits = Object.values(history.commits).filter(
+      (commit) => commit.failedAt,
+    );
+    const flakes = failedCommits.filter(
+      (commit) => commit.passedAt && commit.passedAt > commit.failedAt,
+    ).length;
+    if (flakes === 0) return null;
+
+    return {
+      flakes,
+      failures: failedCommits.length,
+      rate: flakes / failedCommits.length,
+    };
+  }
+
+  /**
+   * Badge flagging a flaky check
+   * @param {Object} stats - Result of getStats
+   * @returns {string} - HTML of the badge
+   */
+  createBadge(stats) {
+    return `<span class="flaky-badge" title="Failed then passed on re-run for ${stats.flakes} of the ${stats.failures} commits it failed on">🎲 flaky ${Math.round(stats.rate * 100)}%</span>`;
+  }
+}
+
+window.flakyChecks = new FlakyCheckTracker();
@@ -1,72 +1,297 @@
-class GitHubAPI {
-  constructor() {
-    this.restEndpoint = "https://api.github.com";
-    this.graphqlEndpoint = "https://api.github.com/graphql";
-    this.promiseCache = {};
+/**
+ * Queue for GitHub API requests. Caps the number of requests in flight,
+ * spreads the remaining budget of each API type (rest/graphql) until its
+ * reset time when it runs low, and waits then retries when GitHub answers
+ * with a primary or secondary rate limit (403/429).
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxConcurrent - Maximum number of requests in flight
+   * @param {number} options.lowRemaining - Remaining budget below which requests are spaced out
+   * @param {number} options.maxRetries - Retries of a rate limited request
+   */
+  constructor({ maxConcurrent = 6, lowRemaining = 100, maxRetries = 3 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.lowRemaining = lowRemaining;
+    this.maxRetries = maxRetries;
+    this.queue = [];
+    this.active = 0;
+    this.limits = {};
+    this.lastStart = {};
+    this.pausedUntil = {};
+    this.pauseReason = {};
+    this.timer = null;
   }
 
-  clearPromiseCache() {
-    this.promiseCache = {};
-    this.evictLRUCache("github_failed_checks",1);
-    this.evictLRUCache("github_compare", 1);
+  /**
+   * Queue a request
+   * @param {string} type - API type: "rest" or "graphql"
+   * @param {Function} request - Function performing the fetch, returns a Response
+   * @returns {Promise<Response>} - Response once the request ran
+   */
+  schedule(type, request) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type, request, resolve, reject, attempts: 0 });
+      this.next();
+    });
+  }
+
+  next() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+    let i = 0;
+    while (i < this.queue.length && this.active < this.maxConcurrent) {
+      const job = this.queue[i];
+      const readyAt = this.getReadyAt(job.type, now);
+      if (readyAt > now) {
+        wakeAt = Math.min(wakeAt, readyAt);
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this.run(job);
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.next(), wakeAt - now);
+    }
+    this.notify();
   }
+
   /**
-   * Evict old entries from cache to maintain maximum size
-   * @param {string} cacheKey - localStorage key for the cache
-   * @param {number} maxSize - Maximum number of entries to keep (default: 100)
+   * When the next request of a type may start
+   * @param {string} type - API type
+   * @param {number} now - Current timestamp
+   * @returns {number} - Timestamp
    */
-  evictLRUCache(cacheKey, version, maxSize = 100) {
-    const cacheRaw = localStorage.getItem(cacheKey);
-    if (!cacheRaw) return;
+  getReadyAt(type, now) {
+    if (this.pausedUntil[type] > now) {
+      return this.pausedUntil[type];
+    }
+
+    const limit = this.limits[type];
+    if (!limit || limit.reset <= now || limit.remaining >= this.lowRemaining) {
+      return now;
+    }
+    if (limit.remaining <= 0) {
+      return limit.reset;
+    }
 
-    const cache = JSON.parse(cacheRaw);
+    // Spread what is left of the budget evenly until the reset
+    const spacing = (limit.reset - now) / limit.remaining;
+    return (this.lastStart[type] || 0) + spacing;
+  }
 
-    if(!cache.version || cache.version !== version) {
-      localStorage.setItem(cacheKey, JSON.stringify({ version }));
-      return;
+  async run(job) {
+    this.active++;
+    this.lastStart[job.type] = Date.now();
+    const limit = this.limits[job.type];
+    if (limit) {
+      limit.remaining = Math.max(0, limit.remaining - 1);
     }
 
-    const entries = Object.entries(cache);
+    try {
+      const response = await job.request();
+      this.updateLimits(job.type, response.headers);
 
-    if (entries.length <= maxSize) return;
+      const retryAt = this.getRetryAt(response, job.attempts);
+      if (retryAt && job.attempts < this.maxRetries) {
+        job.attempts++;
+        this.pause(
+          job.type,
+          retryAt,
+          response.headers.get("x-ratelimit-remaining") === "0"
+            ? "rate limit exhausted"
+            : "secondary rate limit",
+        );
+        this.queue.unshift(job);
+      } else {
+        job.resolve(response);
+      }
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      this.active--;
+      this.next();
+    }
+  }
 
-    // Sort by usedAt timestamp, oldest first
-    entries.sort((a, b) => (a[1].usedAt || 0) - (b[1].usedAt || 0));
+  updateLimits(type, headers) {
+    const remaining = headers.get("x-ratelimit-remaining");
+    const reset = headers.get("x-ratelimit-reset");
+    if (remaining === null || reset === null) return;
 
-    // Keep only the most recent maxSize entries
-    const toKeep = entries.slice(-maxSize);
-    const newCache = {
-        version,
+    this.limits[type] = {
+      remaining: parseInt(remaining),
+      reset: parseInt(reset) * 1000,
     };
+  }
 
-    toKeep.forEach(([key, value]) => {
-      newCache[key] = value;
-    });
+  /**
+   * When a rate limited request can be retried
+   * @param {Response} response - Response of the request
+   * @param {number} attempts - Number of retries already made
+   * @returns {number|null} - Timestamp, null if the request was not rate limited
+   */
+  getRetryAt(response, attempts) {
+    if (response.status !== 403 && response.status !== 429) {
+      return null;
+    }
+
+    const retryAfter = response.headers.get("retry-after");
+    if (retryAfter) {
+      return Date.now() + parseInt(retryAfter) * 1000;
+    }
+    if (response.headers.get("x-ratelimit-remaining") === "0") {
+      return parseInt(response.headers.get("x-ratelimit-reset")) * 1000;
+    }
+    if (response.status === 429) {
+      // GitHub asks to wait at least a minute, then back off exponentially
+      return Date.now() + 60000 * 2 ** attempts;
+    }
+    // Any other 403 is a permission error
+    return null;
+  }
+
+  pause(type, until, reason) {
+    if (until > (this.pausedUntil[type] || 0)) {
+      this.pausedUntil[type] = until;
+      this.pauseReason[type] = reason;
+    }
+  }
+
+  notify() {
+    const now = Date.now();
+    const paused = Object.keys(this.pausedUntil)
+      .filter((type) => this.pausedUntil[type] > now)
+      .map((type) => ({
+        type,
+        until: new Date(this.pausedUntil[type]),
+        reason: this.pauseReason[type],
+      }));
+
+    window.dispatchEvent(
+      new CustomEvent("requestQueueChanged", {
+        detail: {
+          pending: this.queue.length,
+          active: this.active,
+          paused,
+        },
+      }),
+    );
+  }
+}
+
+// Namespaces of the IndexedDB LRU cache, with the version of their data
+// format and the number of entries kept. Bumping a version drops the
+// entries cached in the old format.
+const LRU_CACHE_NAMESPACES = {
+  // 2: includes failed commit statuses, 3: flags GitHub Actions check runs
+  github_failed_checks: { version: 3, maxSize: 100 },
+  github_compare: { version: 1, maxSize: 100 },
+  // One entry per REST endpoint, several of them per displayed PR
+  github_http_cache: { version: 1, maxSize: 2000 },
+  // One entry per organization selection and view
+  github_pr_snapshots: { version: 1, maxSize: 200 },
+  // One entry per check of every repository
+  github_check_history: { version: 1, maxSize: 1000 },
+};
+
+/**
+ * A write the token is not allowed to do. Classic tokens lacking a scope are
+ * caught before the request; fine-grained tokens lacking a permission only
+ * get a 403 or 404 back.
+ */
+class GitHubPermissionError extends Error {
+  /**
+   * @param {string} message - What is needed, shown to the user
+   * @param {number} status - HTTP status of the response
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = "GitHubPermissionError";
+    this.status = status;
+  }
+}
+
+class GitHubAPI {
+  constructor() {
+    this.restEndpoint = "https://api.github.com";
+    this.graphqlEndpoint = "https://api.github.com/graphql";
+    this.promiseCache = {};
+    // Last SAML SSO authorization URL GitHub answered with
+    this.ssoUrl = null;
+    this.scheduler = new RequestScheduler();
+    this.cache = new LRUCacheStore();
 
-    localStorage.setItem(cacheKey, JSON.stringify(newCache));
+    this.migrateLegacyCaches();
   }
 
-  lruCacheGet(cacheKey, key) {
-    const cacheRaw = localStorage.getItem(cacheKey);
-    if (!cacheRaw) return null;
+  /**
+   * Move the caches that used to live in localStorage, as { version,
+   * [key]: { data, usedAt } }, into IndexedDB and free the space they took.
+   * Entries cached in an older format than the current one are dropped.
+   */
+  async migrateLegacyCaches() {
+    for (const [namespace, { version, maxSize }] of Object.entries(
+      LRU_CACHE_NAMESPACES,
+    )) {
+      const raw = localStorage.getItem(namespace);
+      if (!raw) continue;
+      localStorage.removeItem(namespace);
 
-    const cache = JSON.parse(cacheRaw);
-    if (cache[key]) {
-      cache[key].usedAt = Date.now();
-      localStorage.setItem(cacheKey, JSON.stringify(cache));
-      return cache[key].data;
+      let legacy;
+      try {
+        legacy = JSON.parse(raw);
+      } catch (error) {
+        console.warn(`Dropping unreadable legacy ${namespace} cache:`, error);
+        continue;
+      }
+      if (legacy.version !== version) continue;
+
+      // Records the version first, so the first eviction keeps the entries
+      await this.cache.evict(namespace, version, maxSize);
+      const entries = Object.entries(legacy)
+        .filter(([key, entry]) => key !== "version" && entry && entry.data)
+        .sort(([, a], [, b]) => (a.usedAt || 0) - (b.usedAt || 0))
+        .slice(-maxSize);
+      for (const [key, entry] of entries) {
+        await this.cache.set(namespace, key, entry.data);
+      }
     }
-    return null;
   }
 
-  lruCacheSet(cacheKey, key, data) {
-    const cacheRaw = localStorage.getItem(cacheKey);
-    const cache = cacheRaw ? JSON.parse(cacheRaw) : {};
-    cache[key] = {
-      data: data,
-      usedAt: Date.now(),
-    };
-    localStorage.setItem(cacheKey, JSON.stringify(cache));
+  /**
+   * Remove everything cached for the current user, in memory, in
+   * localStorage and in IndexedDB
+   */
+  clearAllCaches() {
+    this.promiseCache = {};
+    this.ssoUrl = null;
+    localStorage.removeItem("github_orgs_cache");
+    Object.keys(LRU_CACHE_NAMESPACES).forEach((namespace) =>
+      this.cache.clear(namespace),
+    );
+  }
+
+  /**
+   * Forget the responses cached by ETag, which were fetched with the token
+   * of another sign-in and may belong to another user
+   */
+  async clearHttpCache() {
+    await this.cache.clear("github_http_cache");
+  }
+
+  clearPromiseCache() {
+    this.promiseCache = {};
+    Object.entries(LRU_CACHE_NAMESPACES).forEach(
+      ([namespace, { version, maxSize }]) =>
+        this.cache.evict(namespace, version, maxSize),
+    );
   }
 
   /**
@@ -77,6 +302,7 @@ class GitHubAPI {
    * @param {Object} options.body - Request body for POST requests
    * @param {string} options.type - API type: "rest" or "graphql" (default: "rest")
    * @param {Function} options.rateLimitCallback - Callback for rate limit info
+   * @param {Function} options.headersCallback - Callback receiving the response headers
    * @returns {Promise<Object>} - Response data
    */
   async query(endpoint, options = {}) {
@@ -85,6 +311,7 @@ class GitHubAPI {
       body = null,
       type = "rest",
       rateLimitCallback = null,
+      headersCallback = null,
     } = options;
 
     const isGraphQL = type === "graphql";
@@ -93,19 +320,31 @@ class GitHubAPI {
       : `${this.restEndpoint}${endpoint}`;
 
     const headers = {
-      Authorization: `Bearer ${window.auth.token}`,
+      Authorization: `Bearer ${await window.auth.getToken()}`,
       ...(isGraphQL
         ? { "Content-Type": "application/json" }
         : { Accept: "application/vnd.github.v3+json" }),
     };
 
+    // Conditional request: a 304 reuses the cached body and does not count
+    // against the REST rate limit
+    const isCacheable = !isGraphQL && method === "GET";
+    const cached = isCacheable
+      ? await this.cache.get("github_http_cache", endpoint)
+      : null;
+    if (cached) {
+      headers["If-None-Match"] = cached.etag;
+    }
+
     const fetchOptions = {
       method,
       headers,
       ...(body && { body: isGraphQL ? JSON.stringify(body) : body }),
     };
 
-    const response = await fetch(url, fetchOptions);
+    const response = await this.scheduler.schedule(type, () =>
+      fetch(url, fetchOptions),
+    );
 
     // Handle rate limit info if callback provided
     if (rateLimitCallback) {
@@ -113,16 +352,115 @@ class GitHubAPI {
       rateLimitCallback(rateLimitInfo);
     }
 
+    if (headersCallback) {
+      headersCallback(response.headers);
+    }
+
+    if (cached && response.status === 304) {
+      return cached.body;
+    }
+
     if (!response.ok) {
+      let error;
       if (response.status === 401) {
-        throw new Error(
+        window.dispatchEvent(
+          new CustomEvent("authError", {
+            detail: { status: response.status },
+          }),
+        );
+        error = new Error(
           "Invalid or expired GitHub token. Please check your token and try again.",
         );
+      } else {
+        error = new Error(await this.getErrorMessage(response));
+      }
+      error.status = response.status;
+      // Still rate limited once the scheduler gave up retrying
+      error.isRateLimited = this.scheduler.getRetryAt(response, 0) !== null;
+      error.ssoUrl = this.getSsoUrl(response.headers);
+      if (error.ssoUrl) {
+        this.ssoUrl = error.ssoUrl;
+      }
+      throw error;
+    }
+
+    // Some write endpoints (e.g. re-runs) answer with an empty body
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    const etag = response.headers.get("etag");
+    if (isCacheable && etag) {
+      await this.cache.set("github_http_cache", endpoint, { etag, body: data });
+    }
+
+    return data;
+  }
+
+  /**
+   * SAML SSO authorization page of the token, when the organization of a
+   * failed request requires it, e.g. "required; url=https://github.com/..."
+   * @param {Headers} headers - Response headers
+   * @returns {string|null} - Authorization URL
+   */
+  getSsoUrl(headers) {
+    const sso = headers.get("x-github-sso");
+    const match = sso && sso.startsWith("required") && sso.match(/url=(\S+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Build a readable message for a failed response. When SAML SSO is
+   * required, the error also carries the authorization URL as ssoUrl.
+   * @param {Response} response - Failed fetch response
+   * @returns {Promise<string>} - Error message
+   */
+  async getErrorMessage(response) {
+    if (this.getSsoUrl(response.headers)) {
+      return "This organization requires SAML SSO authorization for your token.";
+    }
+
+    let message = `HTTP ${response.status}: ${response.statusText}`;
+    try {
+      const body = await response.json();
+      if (body.message) {
+        message += ` - ${body.message}`;
       }
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    } catch (error) {
+      // Body is not JSON, keep the status line only
     }
+    return message;
+  }
+
+  /**
+   * Inspect the current token: its OAuth scopes (classic tokens only) and
+   * the organizations hidden from results until the token is authorized
+   * for their SAML SSO
+   * @returns {Promise<Object>} - { scopes: Array<string>|null, ssoOrganizationIds: Array<string> }
+   */
+  async getTokenInfo() {
+    let headers = null;
+    await this.query("/user/orgs?per_page=1", {
+      headersCallback: (h) => (headers = h),
+    });
+
+    // Fine-grained tokens have no X-OAuth-Scopes header
+    const scopesHeader = headers.get("x-oauth-scopes");
+    const scopes =
+      scopesHeader === null
+        ? null
+        : scopesHeader
+            .split(",")
+            .map((scope) => scope.trim())
+            .filter(Boolean);
 
-    return await response.json();
+    // e.g. "partial-results; organizations=21955855,20582480"
+    const sso = headers.get("x-github-sso") || "";
+    const ssoMatch = sso.match(/organizations=([\d,]+)/);
+
+    return {
+      scopes,
+      ssoOrganizationIds: ssoMatch ? ssoMatch[1].split(",") : [],
+    };
   }
 
   /**
@@ -161,20 +499,32 @@ class GitHubAPI {
   }
 
   /**
-   * Fetch assigned pull requests for an organization using GraphQL
+   * Fetch open pull requests for an organization using GraphQL.
+   * Follows the search cursor until every page has been loaded.
    * @param {string} organization - Organization name
+   * @param {string} qualifiers - Extra GitHub search qualifiers (e.g. "assignee:@me")
    * @param {Function} rateLimitCallback - Callback to handle rate limit info
-   * @returns {Promise<Object>} - GraphQL response data
+   * @returns {Promise<Object>} - GraphQL response data, with all pages merged into search.edges
    */
-  async fetchPullRequests(organization, rateLimitCallback = null) {
+  async fetchPullRequests(
+    organization,
+    qualifiers = "assignee:@me",
+    rateLimitCallback = null,
+  ) {
+    const searchQuery = `is:pr is:open org:${organization} ${qualifiers}`;
     const query = `
-            query GetAssignedPRs {
+            query GetPullRequests($searchQuery: String!, $cursor: String) {
                 search(
-                    query: "is:pr is:open org:${organization} assignee:@me"
+                    query: $searchQuery
                     type: ISSUE
                     first: 100
+                    after: $cursor
                 ) {
                     issueCount
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
                     edges {
                         node {
                             ... on PullRequest {
@@ -188,11 +538,20 @@ class GitHubAPI {
                                 mergeStateStatus
                                 headRefName
                                 baseRefName
+                                isCrossRepository
                                 createdAt
                                 updatedAt
                                 repository {
                                     name
                                     nameWithOwner
+                                    mergeCommitAllowed
+                                    squashMergeAllowed
+                                    rebaseMergeAllowed
+                                    autoMergeAllowed
+                                }
+                                autoMergeRequest {
+                                    enabledAt
+                                    mergeMethod
                                 }
                                 author {
                                     login
@@ -231,18 +590,29 @@ class GitHubAPI {
             }
         `;
 
-    const result = await this.query("", {
-      method: "POST",
-      body: { query },
-      type: "graphql",
-      rateLimitCallback,
-    });
+    const edges = [];
+    let issueCount = 0;
+    let cursor = null;
 
-    if (result.errors) {
-      throw new Error(result.errors.map((e) => e.message).join(", "));
-    }
+    do {
+      const result = await this.query("", {
+        method: "POST",
+        body: { query, variables: { searchQuery, cursor } },
+        type: "graphql",
+        rateLimitCallback,
+      });
 
-    return result.data;
+      if (result.errors) {
+        throw new Error(result.errors.map((e) => e.message).join(", "));
+      }
+
+      const search = result.data.search;
+      issueCount = search.issueCount;
+      edges.push(...search.edges);
+      cursor = search.pageInfo.hasNextPage ? search.pageInfo.endCursor : null;
+    } while (cursor);
+
+    return { search: { issueCount, edges } };
   }
 
   /**
@@ -251,25 +621,36 @@ class GitHubAPI {
    * @param {string} repo - Repository name
    * @param {string} sha - Commit SHA
    * @param {Function} rateLimitCallback - Callback to handle rate limit info
-   * @returns {Promise<Array>} - Array of failed check objects
+   * @returns {Promise<Array>} - { name, url, isActions } of failed checks, isActions for GitHub Actions check runs
    */
   async fetchFailedChecks(owner, repo, sha, rateLimitCallback = null) {
     const cacheKey = `github_failed_checks`;
     const cache_key = `${owner}/${repo}/${sha}`;
 
     // Check cache first
-    const cached = this.lruCacheGet(cacheKey, cache_key);
+    const cached = await this.cache.get(cacheKey, cache_key);
     if (cached) {
       return cached;
     }
 
     try {
-      const data = await this.query(
-        `/repos/${owner}/${repo}/commits/${sha}/check-runs?status=completed&per_page=100`,
-        {
-          rateLimitCallback,
-        },
-      );
+      const [data, statuses] = await Promise.all([
+        this.query(
+          `/repos/${owner}/${repo}/commits/${sha}/check-runs?status=completed&per_page=100`,
+          {
+            rateLimitCallback,
+          },
+        ),
+        this.fetchCommitStatuses(owner, repo, sha, rateLimitCallback).catch(
+          (error) => {
+            console.warn(
+              `Error fetching commit statuses for ${owner}/${repo}@${sha}:`,
+              error,
+            );
+            return [];
+          },
+        ),
+      ]);
 
       const failedChecks = [];
 
@@ -284,14 +665,26 @@ class GitHubAPI {
             failedChecks.push({
               name: checkName,
               url: checkRun.html_url || checkRun.details_url || "#",
+              isActions: checkRun.app?.slug === "github-actions",
             });
           }
         });
       }
 
+      // External CI systems (Jenkins, Buildkite...) report commit statuses
+      statuses.forEach((status) => {
+        if (status.state === "failure" || status.state === "error") {
+          failedChecks.push({
+            name: status.name,
+            url: status.url,
+            isActions: false,
+          });
+        }
+      });
+
       const result = failedChecks.sort((a, b) => a.name.localeCompare(b.name));
 
-      this.lruCacheSet(cacheKey, cache_key, result);
+      await this.cache.set(cacheKey, cache_key, result);
       return result;
     } catch (error) {
       console.warn(
@@ -302,6 +695,101 @@ class GitHubAPI {
     }
   }
 
+  /**
+   * Fetch the latest status of every context reported through the commit
+   * Statuses API, used by CI systems that do not create check runs
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Array>} - { name, state, description, url } sorted by name
+   */
+  async fetchCommitStatuses(owner, repo, sha, rateLimitCallback = null) {
+    const data = await this.query(
+      `/repos/${owner}/${repo}/commits/${sha}/status?per_page=100`,
+      {
+        rateLimitCallback,
+      },
+    );
+
+    return (data.statuses || [])
+      .map((status) => ({
+        name: status.context,
+        state: status.state,
+        description: status.description,
+        url: status.target_url || "#",
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Fetch every check run of a commit, whatever its status
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Array>} - Check runs sorted by name
+   */
+  async fetchCheckRuns(owner, repo, sha, rateLimitCallback = null) {
+    const data = await this.query(
+      `/repos/${owner}/${repo}/commits/${sha}/check-runs?per_page=100`,
+      {
+        rateLimitCallback,
+      },
+    );
+
+    return (data.check_runs || [])
+      .map((checkRun) => ({
+        id: checkRun.id,
+        // Clean up Hyperion check names
+        name: checkRun.name.replace(/^rails-ci\s\/ /, ""),
+        status: checkRun.status,
+        conclusion: checkRun.conclusion,
+        startedAt: checkRun.started_at,
+        completedAt: checkRun.completed_at,
+        url: checkRun.html_url || checkRun.details_url || "#",
+        outputTitle: checkRun.output ? checkRun.output.title : null,
+        outputSummary: checkRun.output ? checkRun.output.summary : null,
+        annotationsCount: checkRun.output
+          ? checkRun.output.annotations_count
+          : 0,
+        ...this.parseActionsJobUrl(checkRun.details_url || checkRun.html_url),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Workflow run and job of a check run created by GitHub Actions
+   * @param {string} url - Details URL of the check run
+   * @returns {Object} - { workflowRunId, jobId }, empty for other CI providers
+   */
+  parseActionsJobUrl(url) {
+    const match = (url || "").match(/\/actions\/runs\/(\d+)\/job\/(\d+)/);
+    return match ? { workflowRunId: match[1], jobId: match[2] } : {};
+  }
+
+  /**
+   * Fetch the annotations (e.g. failed test locations) of a check run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} checkRunId - Check run ID
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Array>} - Annotation objects as returned by GitHub
+   */
+  async fetchCheckRunAnnotations(
+    owner,
+    repo,
+    checkRunId,
+    rateLimitCallback = null,
+  ) {
+    return await this.query(
+      `/repos/${owner}/${repo}/check-runs/${checkRunId}/annotations?per_page=50`,
+      {
+        rateLimitCallback,
+      },
+    );
+  }
+
   /**
    * Fetch workflow runs for a specific commit
    * @param {string} owner - Repository owner
@@ -311,21 +799,111 @@ class GitHubAPI {
    * @returns {Promise<Array>} - Array of workflow run objects
    */
   async fetchWorkflowRuns(owner, repo, sha, rateLimitCallback = null) {
-    try {
-      const data = await this.query(
-        `/repos/${owner}/${repo}/actions/runs?head_sha=${sha}&per_page=100`,
-        {
-          rateLimitCallback,
+    const data = await this.query(
+      `/repos/${owner}/${repo}/actions/runs?head_sha=${sha}&per_page=100`,
+      {
+        rateLimitCallback,
+      },
+    );
+
+    return data.workflow_runs || [];
+  }
+
+  /**
+   * Durations of the latest successful runs of a workflow, used to estimate
+   * when a running one completes
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} workflowId - Workflow ID
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Array<number>>} - Durations in milliseconds
+   */
+  async fetchWorkflowDurations(
+    owner,
+    repo,
+    workflowId,
+    rateLimitCallback = null,
+  ) {
+    const data = await this.query(
+      `/repos/${owner}/${repo}/actions/workflows/${workflowId}/runs?status=success&per_page=10`,
+      {
+        rateLimitCallback,
+      },
+    );
+
+    return (data.workflow_runs || [])
+      .filter((run) => run.run_started_at)
+      .map((run) => new Date(run.updated_at) - new Date(run.run_started_at));
+  }
+
+  /**
+   * Fetch the latest commit and CI state of a single pull request
+   * @param {string} nodeId - Pull request node ID (GraphQL ID)
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Object>} - commits connection, as in fetchPullRequests
+   */
+  async fetchPullRequestCommits(nodeId, rateLimitCallback = null) {
+    const query = `
+      query PullRequestCommits($pullRequestId: ID!) {
+        node(id: $pullRequestId) {
+          ... on PullRequest {
+            commits(last: 1) {
+              nodes {
+                commit {
+                  oid
+                  statusCheckRollup {
+                    state
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.query("", {
+      method: "POST",
+      body: {
+        query,
+        variables: {
+          pullRequestId: nodeId,
         },
-      );
+      },
+      type: "graphql",
+      rateLimitCallback,
+    });
 
-      return data.workflow_runs || [];
+    if (result.errors) {
+      throw new Error(result.errors.map((e) => e.message).join(", "));
+    }
+
+    return result.data.node.commits;
+  }
+
+  /**
+   * POST to a GitHub Actions endpoint, turning a refusal into a
+   * GitHubPermissionError
+   * @param {string} endpoint - API endpoint
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   */
+  async postActionsRequest(endpoint, rateLimitCallback) {
+    try {
+      await this.query(endpoint, {
+        method: "POST",
+        rateLimitCallback,
+      });
     } catch (error) {
-      console.warn(
-        `Error fetching workflow runs for ${owner}/${repo}@${sha}:`,
-        error,
-      );
-      return [];
+      if (
+        (error.status === 403 && !error.isRateLimited) ||
+        error.status === 404
+      ) {
+        throw new GitHubPermissionError(
+          "Re-running and cancelling workflows requires the workflow scope, or the Actions: write permission for fine-grained tokens",
+          error.status,
+        );
+      }
+      throw error;
     }
   }
 
@@ -335,25 +913,55 @@ class GitHubAPI {
    * @param {string} repo - Repository name
    * @param {number} runId - Workflow run ID
    * @param {Function} rateLimitCallback - Callback to handle rate limit info
-   * @returns {Promise<boolean>} - Success status
+   * @throws {GitHubPermissionError} - When the token may not re-run workflows
    */
   async rerunFailedJobs(owner, repo, runId, rateLimitCallback = null) {
-    try {
-      await this.query(
-        `/repos/${owner}/${repo}/actions/runs/${runId}/rerun-failed-jobs`,
-        {
-          method: "POST",
-          rateLimitCallback,
-        },
-      );
-      return true;
-    } catch (error) {
-      console.error(
-        `Error re-running failed jobs for ${owner}/${repo} run ${runId}:`,
-        error,
-      );
-      return false;
-    }
+    await this.postActionsRequest(
+      `/repos/${owner}/${repo}/actions/runs/${runId}/rerun-failed-jobs`,
+      rateLimitCallback,
+    );
+  }
+
+  /**
+   * Re-run a single job of a workflow run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} jobId - Workflow job ID
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   */
+  async rerunJob(owner, repo, jobId, rateLimitCallback = null) {
+    await this.postActionsRequest(
+      `/repos/${owner}/${repo}/actions/jobs/${jobId}/rerun`,
+      rateLimitCallback,
+    );
+  }
+
+  /**
+   * Re-run every job of a workflow run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   */
+  async rerunWorkflow(owner, repo, runId, rateLimitCallback = null) {
+    await this.postActionsRequest(
+      `/repos/${owner}/${repo}/actions/runs/${runId}/rerun`,
+      rateLimitCallback,
+    );
+  }
+
+  /**
+   * Cancel a queued or in-progress workflow run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   */
+  async cancelWorkflowRun(owner, repo, runId, rateLimitCallback = null) {
+    await this.postActionsRequest(
+      `/repos/${owner}/${repo}/actions/runs/${runId}/cancel`,
+      rateLimitCallback,
+    );
   }
 
   /**
@@ -397,6 +1005,100 @@ class GitHubAPI {
     return result.data;
   }
 
+  /**
+   * Merge a pull request
+   * @param {string} nodeId - Pull request node ID (GraphQL ID)
+   * @param {string} mergeMethod - "MERGE", "SQUASH" or "REBASE"
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Object>} - GraphQL response data
+   */
+  async mergePullRequest(nodeId, mergeMethod, rateLimitCallback = null) {
+    const mutation = `
+      mutation MergePullRequest($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+        mergePullRequest(input: {
+          pullRequestId: $pullRequestId
+          mergeMethod: $mergeMethod
+        }) {
+          pullRequest {
+            id
+            merged
+            number
+          }
+        }
+      }
+    `;
+
+    const result = await this.query("", {
+      method: "POST",
+      body: {
+        query: mutation,
+        variables: {
+          pullRequestId: nodeId,
+          mergeMethod,
+        },
+      },
+      type: "graphql",
+      rateLimitCallback,
+    });
+
+    if (result.errors) {
+      throw new Error(result.errors.map((e) => e.message).join(", "));
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Enable auto-merge on a pull request, so GitHub merges it once its
+   * requirements (CI, reviews) are met
+   * @param {string} nodeId - Pull request node ID (GraphQL ID)
+   * @param {string} mergeMethod - "MERGE", "SQUASH" or "REBASE"
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Object>} - GraphQL response data
+   */
+  async enablePullRequestAutoMerge(
+    nodeId,
+    mergeMethod,
+    rateLimitCallback = null,
+  ) {
+    const mutation = `
+      mutation EnablePullRequestAutoMerge($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+        enablePullRequestAutoMerge(input: {
+          pullRequestId: $pullRequestId
+          mergeMethod: $mergeMethod
+        }) {
+          pullRequest {
+            id
+            number
+            autoMergeRequest {
+              enabledAt
+              mergeMethod
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.query("", {
+      method: "POST",
+      body: {
+        query: mutation,
+        variables: {
+          pullRequestId: nodeId,
+          mergeMethod,
+        },
+      },
+      type: "graphql",
+      rateLimitCallback,
+    });
+
+    if (result.errors) {
+      throw new Error(result.errors.map((e) => e.message).join(", "));
+    }
+
+    return result.data;
+  }
+
   /**
    * Update a pull request branch with changes from the base branch
    * @param {string} owner - Repository owner
@@ -451,7 +1153,7 @@ class GitHubAPI {
     const cache_key = `${owner}/${repo}/${prNum}/${base}...${head}`;
 
     // Check cache first
-    const cached = this.lruCacheGet(cacheKey, cache_key);
+    const cached = await this.cache.get(cacheKey, cache_key);
     if (cached) {
       return cached;
     }
@@ -470,7 +1172,7 @@ class GitHubAPI {
         status: response.status,
       };
 
-      this.lruCacheSet(cacheKey, cache_key, data);
+      await this.cache.set(cacheKey, cache_key, data);
 
       return data;
     } catch (error) {
@@ -479,6 +1181,138 @@ class GitHubAPI {
     }
   }
 
+  /**
+   * Get how far a same-repository PR branch is behind its base branch.
+   * Lookups made in the same tick are batched into a few GraphQL queries.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} prNum - Pull request number
+   * @param {string} baseRefName - Base branch name
+   * @param {string} headRefName - Head branch name, in the same repository
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Object|null>} - { baseHeadOid, behind_by, ahead_by, status }, null when the branches could not be compared
+   */
+  getBehindCount(
+    owner,
+    repo,
+    prNum,
+    baseRefName,
+    headRefName,
+    rateLimitCallback = null,
+  ) {
+    this.promiseCache.getBehindCount = this.promiseCache.getBehindCount || {};
+    const cacheKey = `${owner}/${repo}#${prNum}`;
+    if (this.promiseCache.getBehindCount[cacheKey]) {
+      return this.promiseCache.getBehindCount[cacheKey];
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.pendingBehindCounts = this.pendingBehindCounts || [];
+      this.pendingBehindCounts.push({
+        owner,
+        repo,
+        baseRefName,
+        headRefName,
+        resolve,
+        reject,
+      });
+      if (!this.behindCountsTimer) {
+        this.behindCountsTimer = setTimeout(
+          () => this.flushBehindCounts(rateLimitCallback),
+          0,
+        );
+      }
+    });
+    this.promiseCache.getBehindCount[cacheKey] = promise;
+    return promise;
+  }
+
+  async flushBehindCounts(rateLimitCallback) {
+    const pending = this.pendingBehindCounts;
+    this.pendingBehindCounts = [];
+    this.behindCountsTimer = null;
+
+    // Keep each query well under the GraphQL node limit
+    const batchSize = 50;
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      try {
+        const results = await this.fetchBehindCounts(batch, rateLimitCallback);
+        batch.forEach((request, index) => request.resolve(results[index]));
+      } catch (error) {
+        batch.forEach((request) => request.reject(error));
+      }
+    }
+  }
+
+  /**
+   * Compare base and head branches of several PRs in one GraphQL query,
+   * using one aliased repository lookup per repository
+   * @param {Array<Object>} requests - { owner, repo, baseRefName, headRefName }
+   * @param {Function} rateLimitCallback - Callback to handle rate limit info
+   * @returns {Promise<Array<Object|null>>} - Comparison per request, in order
+   */
+  async fetchBehindCounts(requests, rateLimitCallback = null) {
+    const repositories = {};
+    requests.forEach((request, index) => {
+      const nameWithOwner = `${request.owner}/${request.repo}`;
+      repositories[nameWithOwner] = repositories[nameWithOwner] || [];
+      repositories[nameWithOwner].push({ ...request, index });
+    });
+
+    // JSON.stringify produces valid GraphQL string literals
+    const repositoryFields = Object.values(repositories).map(
+      (repoRequests, repoIndex) => {
+        const { owner, repo } = repoRequests[0];
+        const refFields = repoRequests.map(
+          (request) => `
+                pr${request.index}: ref(qualifiedName: ${JSON.stringify(`refs/heads/${request.baseRefName}`)}) {
+                    target {
+                        oid
+                    }
+                    compare(headRef: ${JSON.stringify(request.headRefName)}) {
+                        aheadBy
+                        behindBy
+                        status
+                    }
+                }`,
+        );
+        return `
+            repo${repoIndex}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(repo)}) {${refFields.join("")}
+            }`;
+      },
+    );
+    const query = `query GetBehindCounts {${repositoryFields.join("")}
+        }`;
+
+    const result = await this.query("", {
+      method: "POST",
+      body: { query },
+      type: "graphql",
+      rateLimitCallback,
+    });
+
+    // Errors on some branches (e.g. a deleted head) still return the others
+    if (!result.data) {
+      throw new Error(result.errors.map((e) => e.message).join(", "));
+    }
+
+    const refs = Object.values(result.data).reduce(
+      (all, repository) => ({ ...all, ...(repository || {}) }),
+      {},
+    );
+    return requests.map((request, index) => {
+      const ref = refs[`pr${index}`];
+      if (!ref || !ref.compare) return null;
+      return {
+        baseHeadOid: ref.target.oid,
+        behind_by: ref.compare.behindBy,
+        ahead_by: ref.compare.aheadBy,
+        status: ref.compare.status,
+      };
+    });
+  }
+
   /**
    * Get the current HEAD SHA of a branch
    * @param {string} owner - Repository owner
@@ -0,0 +1,229 @@
+// Ways to group the rows of the main table. key returns the group a PR
+// belongs to, null for the "none" group listed last.
+const GROUP_BY_MODES = {
+  none: {
+    label: "No grouping",
+  },
+  repository: {
+    label: "Repository",
+    key: (pr) => pr.repository.nameWithOwner,
+    groupLabel: (key) => key,
+  },
+  author: {
+    label: "Author",
+    key: (pr) => (pr.author ? pr.author.login : null),
+    groupLabel: (key) => key || "Unknown author",
+  },
+  "ticket-project": {
+    label: "Ticket project",
+    key: (pr) => {
+      const ticketKey = pr.getTicketKey();
+      if (!ticketKey) return null;
+      // Keys without a project, e.g. "#123" issues, belong to the repository
+      const project = ticketKey.match(/^([A-Za-z][A-Za-z0-9_]*)-/);
+      return project ? project[1] : pr.repository.nameWithOwner;
+    },
+    groupLabel: (key) => key || "No ticket key",
+  },
+  review: {
+    label: "Review state",
+    key: (pr) => FILTER_FACETS.review.values(pr)[0],
+    groupLabel: (key) => FILTER_FACETS.review.chipLabel(key),
+  },
+  ci: {
+    label: "CI state",
+    key: (pr) => FILTER_FACETS.ci.values(pr)[0],
+    groupLabel: (key) => FILTER_FACETS.ci.chipLabel(key),
+  },
+  base: {
+    label: "Base branch",
+    key: (pr) => pr.baseRefName,
+    groupLabel: (key) => key,
+  },
+};
+
+const DEFAULT_GROUP_BY = "none";
+
+// Badges summarizing the PRs of a group, only shown when the count is not 0
+const GROUP_BADGES = [
+  {
+    className: "group-badge-ready",
+    label: (count) => `${count} ready to merge`,
+    test: (pr) => pr.isReadyToBeMerged(),
+  },
+  {
+    className: "group-badge-failing",
+    label: (count) => `${count} failing CI`,
+    test: (pr) => {
+      const statusRollup = pr.getStatusCheckRollup();
+      return (
+        !!statusRollup &&
+        (statusRollup.state === "FAILURE" || statusRollup.state === "ERROR")
+      );
+    },
+  },
+  {
+    className: "group-badge-changes",
+    label: (count) => `${count} changes requested`,
+    test: (pr) => pr.hasChangesRequested(),
+  },
+  {
+    className: "group-badge-conflicts",
+    label: (count) => `${count} with conflicts`,
+    test: (pr) => pr.hasMergeConflicts,
+  },
+];
+
+/**
+ * Group-by mode of the main table, read from the "group" URL parameter,
+ * falling back to the last mode the user picked. Each group is a
+ * collapsible section with its own copy of the table header.
+ */
+class PullRequestGrouper {
+  constructor() {
+    // Groups the user collapsed, kept across refreshes
+    this.collapsedGroups = new Set();
+
+    const dropdown = document.getElementById("groupBy");
+    Object.entries(GROUP_BY_MODES).forEach(([mode, config]) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = config.label;
+      dropdown.appendChild(option);
+    });
+    dropdown.addEventListener("change", (e) => {
+      localStorage.setItem("github_group_by", e.target.value);
+      window.dispatchEvent(
+        new CustomEvent("groupChanged", {
+          detail: { group: e.target.value },
+        }),
+      );
+    });
+  }
+
+  get groupBy() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const mode =
+      urlParams.get("group") || localStorage.getItem("github_group_by");
+    return GROUP_BY_MODES[mode] ? mode : DEFAULT_GROUP_BY;
+  }
+
+  get isGrouped() {
+    return this.groupBy !== DEFAULT_GROUP_BY;
+  }
+
+  updateUI() {
+    document.getElementById("groupBy").value = this.groupBy;
+  }
+
+  /**
+   * Move the rows of the main table into one section per group, or back
+   * into the main table when grouping is off
+   * @param {Array<HTMLTableRowElement>} rows - Rows of the main table, sorted
+   * @param {Map<string, PullRequest>} pullRequests - Displayed PRs by id
+   */
+  distributeRows(rows, pullRequests) {
+    const container = document.getElementById("prGroups");
+    const mainTable = document.getElementById("prTable");
+    const mainTbody = document.getElementById("prTableBody");
+    container.innerHTML = "";
+
+    if (!this.isGrouped) {
+      rows.forEach((row) => mainTbody.appendChild(row));
+      mainTable.parentElement.classList.remove("hidden");
+      return;
+    }
+    mainTable.parentElement.classList.add("hidden");
+
+    const mode = GROUP_BY_MODES[this.groupBy];
+    const groups = new Map();
+    rows.forEach((row) => {
+      const pr = pullRequests.get(row.dataset.prId);
+      const key = pr ? mode.key(pr) : null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+
+    Array.from(groups.keys())
+      .sort((a, b) => {
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return a.localeCompare(b);
+      })
+      .forEach((key) => {
+        container.appendChild(
+          this.createGroupSection(key, mode.groupLabel(key), groups.get(key)),
+        );
+      });
+  }
+
+  createGroupSection(key, label, rows) {
+    const groupId = `${this.groupBy}:${key}`;
+    const section = document.createElement("details");
+    section.className = "pr-group";
+    section.dataset.groupId = groupId;
+    section.open = !this.collapsedGroups.has(groupId);
+    section.addEventListener("toggle", () => {
+      if (section.open) {
+        this.collapsedGroups.delete(groupId);
+      } else {
+        this.collapsedGroups.add(groupId);
+      }
+    });
+
+    const summary = document.createElement("summary");
+    const title = document.createElement("span");
+    title.className = "pr-group-title";
+    title.textContent = label;
+    const count = document.createElement("span");
+    count.className = "pr-group-count";
+    const badges = document.createElement("span");
+    badges.className = "pr-group-badges";
+    summary.append(title, " ", count, " ", badges);
+    section.appendChild(summary);
+
+    const tableContainer = document.createElement("div");
+    tableContainer.className = "table-container";
+    const table = document.createElement("table");
+    table.appendChild(document.querySelector("#prTable thead").cloneNode(true));
+    const tbody = document.createElement("tbody");
+    rows.forEach((row) => tbody.appendChild(row));
+    table.appendChild(tbody);
+    tableContainer.appendChild(table);
+    section.appendChild(tableContainer);
+
+    return section;
+  }
+
+  /**
+   * Update the count and badges of every group from its visible rows, and
+   * hide the groups the filter bar emptied
+   * @param {Map<string, PullRequest>} pullRequests - Displayed PRs by id
+   */
+  updateSummaries(pullRequests) {
+    document.querySelectorAll("#prGroups .pr-group").forEach((section) => {
+      const shown = Array.from(
+        section.querySelectorAll("tr[data-pr-id]:not(.hidden)"),
+      )
+        .map((row) => pullRequests.get(row.dataset.prId))
+        .filter(Boolean);
+
+      section.classList.toggle("hidden", shown.length === 0);
+      section.querySelector(".pr-group-count").textContent =
+        `(${shown.length})`;
+
+      const badges = section.querySelector(".pr-group-badges");
+      badges.innerHTML = "";
+      GROUP_BADGES.forEach((badge) => {
+        const count = shown.filter(badge.test).length;
+        if (count === 0) return;
+        const element = document.createElement("span");
+        element.className = `group-badge ${badge.className}`;
+        element.textContent = badge.label(count);
+        badges.appendChild(element);
+      });
+    });
+  }
+}
+
+window.grouper = new PullRequestGrouper();
@@ -0,0 +1,130 @@
+const NOTIFICATION_EVENTS = {
+  "ci-passed": {
+    label: "CI passed",
+    title: "✅ CI passed",
+    test: (previous, current) =>
+      previous.ciState !== "SUCCESS" && current.ciState === "SUCCESS",
+  },
+  approved: {
+    label: "Approved",
+    title: "👍 Approved",
+    test: (previous, current) =>
+      previous.reviewDecision !== "APPROVED" &&
+      current.reviewDecision === "APPROVED",
+  },
+  "changes-requested": {
+    label: "Changes requested",
+    title: "🔄 Changes requested",
+    test: (previous, current) =>
+      previous.reviewDecision !== "CHANGES_REQUESTED" &&
+      current.reviewDecision === "CHANGES_REQUESTED",
+  },
+  conflicts: {
+    label: "Merge conflicts",
+    title: "❌ Merge conflicts",
+    test: (previous, current) =>
+      previous.mergeable !== "CONFLICTING" &&
+      current.mergeable === "CONFLICTING",
+  },
+};
+
+class GitHubNotifier {
+  constructor() {
+    this.statesKey = "github_pr_states";
+    this.settingsKey = "github_notification_settings";
+    // Forget PRs that have not been part of a search for a week
+    this.stateMaxAge = 7 * 24 * 60 * 60 * 1000;
+
+    const container = document.getElementById("notificationSettings");
+    const settings = this.settings;
+    Object.entries(NOTIFICATION_EVENTS).forEach(([event, config]) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = !!settings[event];
+      checkbox.addEventListener("change", (e) =>
+        this.toggleEvent(event, e.target.checked),
+      );
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${config.label}`));
+      container.appendChild(label);
+    });
+  }
+
+  get settings() {
+    const raw = localStorage.getItem(this.settingsKey);
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  async toggleEvent(event, enabled) {
+    const settings = this.settings;
+    settings[event] = enabled;
+    localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+
+    if (
+      enabled &&
+      "Notification" in window &&
+      Notification.permission === "default"
+    ) {
+      await Notification.requestPermission();
+    }
+  }
+
+  /**
+   * Compare freshly fetched PRs with the states persisted on the previous
+   * fetch and show a notification for every enabled transition
+   * @param {Array<PullRequest>} pullRequests - Pull requests just fetched
+   */
+  checkTransitions(pullRequests) {
+    const raw = localStorage.getItem(this.statesKey);
+    const states = raw ? JSON.parse(raw) : {};
+    const settings = this.settings;
+    const now = Date.now();
+
+    pullRequests.forEach((pr) => {
+      const statusRollup = pr.getStatusCheckRollup();
+      const current = {
+        ciState: statusRollup ? statusRollup.state : null,
+        reviewDecision: pr.reviewDecision,
+        mergeable: pr.mergeable,
+        seenAt: now,
+      };
+      const previous = states[pr.id];
+      states[pr.id] = current;
+
+      if (!previous) return;
+
+      Object.entries(NOTIFICATION_EVENTS).forEach(([event, config]) => {
+        if (settings[event] && config.test(previous, current)) {
+          this.notify(pr, event, config.title);
+        }
+      });
+    });
+
+    Object.keys(states).forEach((id) => {
+      if (now - states[id].seenAt > this.stateMaxAge) {
+        delete states[id];
+      }
+    });
+
+    localStorage.setItem(this.statesKey, JSON.stringify(states));
+  }
+
+  notify(pr, event, title) {
+    if (!("Notification" in window) || Notification.permission !== "granted") {
+      return;
+    }
+
+    const notification = new Notification(title, {
+      body: `${pr.repository.name}#${pr.number}: ${pr.title}`,
+      icon: pr.author ? pr.author.avatarUrl : undefined,
+      tag: `${pr.id}:${event}`,
+    });
+    notification.onclick = () => {
+      window.open(pr.url, "_blank");
+      notification.close();
+    };
+  }
+}
+
+window.notifier = new GitHubNotifier();
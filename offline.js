@@ -0,0 +1,170 @@
+// Write actions that can be queued while offline, replayed once back online
+const OFFLINE_ACTIONS = {
+  "mark-ready": async ({ nodeId }) => {
+    await window.githubAPI.markPullRequestReadyForReview(nodeId);
+  },
+  "update-branch": async ({ owner, repo, pullNumber }) => {
+    await window.githubAPI.updatePullRequestBranch(owner, repo, pullNumber);
+  },
+  rerun: async ({ owner, repo, sha }) => {
+    const workflowRuns = await window.githubAPI.fetchWorkflowRuns(
+      owner,
+      repo,
+      sha,
+    );
+    const failedRuns = workflowRuns.filter(
+      (run) => run.conclusion === "failure" || run.conclusion === "cancelled",
+    );
+    for (const run of failedRuns) {
+      await window.githubAPI.rerunFailedJobs(owner, repo, run.id);
+    }
+  },
+  "rerun-job": async ({ owner, repo, jobId }) => {
+    await window.githubAPI.rerunJob(owner, repo, jobId);
+  },
+  "rerun-workflow": async ({ owner, repo, runId }) => {
+    await window.githubAPI.rerunWorkflow(owner, repo, runId);
+  },
+  "cancel-run": async ({ owner, repo, runId }) => {
+    await window.githubAPI.cancelWorkflowRun(owner, repo, runId);
+  },
+};
+
+/**
+ * Whether a replayed action failed for a reason that may go away: network
+ * errors, an expired token, rate limits and GitHub outages. Any other error
+ * means GitHub rejected the action (e.g. 404, 422 or a missing permission).
+ * @param {Error} error - Error thrown by the action
+ * @returns {boolean}
+ */
+function isTransientReplayError(error) {
+  return (
+    error instanceof TypeError ||
+    error.status === 401 ||
+    error.status === 429 ||
+    error.status >= 500 ||
+    !!error.isRateLimited
+  );
+}
+
+class OfflineActionQueue {
+  constructor() {
+    this.storageKey = "github_offline_queue";
+    this.isReplaying = false;
+
+    window.addEventListener("online", () => this.replay());
+    // Background Sync: the service worker asks the page to replay
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+      if (event.data && event.data.type === "replay-actions") {
+        this.replay();
+      }
+    });
+
+    document.addEventListener("DOMContentLoaded", () => {
+      this.updateUI();
+      this.replay();
+    });
+  }
+
+  get actions() {
+    const raw = localStorage.getItem(this.storageKey);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  set actions(actions) {
+    localStorage.setItem(this.storageKey, JSON.stringify(actions));
+    this.updateUI();
+  }
+
+  get isOffline() {
+    return !navigator.onLine;
+  }
+
+  /**
+   * Queue an action to run once the connection is back
+   * @param {string} type - Key of OFFLINE_ACTIONS
+   * @param {Object} params - Parameters of the action
+   * @param {string} description - Shown to the user while queued
+   */
+  enqueue(type, params, description) {
+    this.actions = [
+      ...this.actions,
+      {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        description,
+        queuedAt: Date.now(),
+      },
+    ];
+
+    navigator.serviceWorker?.ready
+      .then((registration) => registration.sync?.register("replay-actions"))
+      .catch((error) => {
+        console.warn("Background sync unavailable:", error);
+      });
+  }
+
+  /**
+   * Forget every queued action, e.g. on sign-out so they are not replayed
+   * with the token of the next account
+   */
+  clear() {
+    localStorage.removeItem(this.storageKey);
+    this.updateUI();
+  }
+
+  /**
+   * Run queued actions in order. Stops at the first transient failure so the
+   * remaining ones are retried on the next reconnect; actions GitHub rejects
+   * are dropped.
+   */
+  async replay() {
+    if (this.isReplaying || this.isOffline || !window.auth.token) return;
+    this.isReplaying = true;
+    let replayed = 0;
+
+    try {
+      for (const action of this.actions) {
+        try {
+          await OFFLINE_ACTIONS[action.type](action.params);
+          console.log(`Replayed queued action: ${action.description}`);
+        } catch (error) {
+          if (isTransientReplayError(error)) {
+            console.warn(
+              `Keeping queued action "${action.description}" for a later retry:`,
+              error,
+            );
+            return;
+          }
+          console.error(
+            `Dropping queued action "${action.description}":`,
+            error,
+          );
+        }
+        this.actions = this.actions.filter((a) => a.id !== action.id);
+        replayed++;
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+
+    if (replayed > 0 && window.main.organization) {
+      window.main.loadPullRequests({ incremental: true });
+    }
+  }
+
+  updateUI() {
+    const queueElement = document.getElementById("offlineQueue");
+    if (!queueElement) return;
+
+    const actions = this.actions;
+    queueElement.textContent =
+      actions.length > 0
+        ? `📤 ${actions.length} action${actions.length === 1 ? "" : "s"} queued until back online`
+        : "";
+    queueElement.title = actions.map((a) => a.description).join("\n");
+  }
+}
+
+window.offlineQueue = new OfflineActionQueue();
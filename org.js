@@ -1,3 +1,5 @@
+const ALL_ORGANIZATIONS = "*";
+
 class GitHubOrgOrg {
   constructor() {}
 
@@ -5,6 +7,9 @@ class GitHubOrgOrg {
     const orgList = document.getElementById("orgList");
     window.githubAPI.getUserOrganizations().then((orgs) => {
       orgList.innerHTML = "";
+      if (orgs.length > 1) {
+        orgList.appendChild(this.createAllOrganizationsItem(orgs.length));
+      }
       orgs.forEach((org) => {
         const orgItem = document.createElement("div");
         orgItem.className = "org-item";
@@ -30,6 +35,28 @@ class GitHubOrgOrg {
     });
   }
 
+  createAllOrganizationsItem(count) {
+    const orgItem = document.createElement("div");
+    orgItem.className = "org-item";
+    orgItem.onclick = () => {
+      window.dispatchEvent(
+        new CustomEvent("organizationChanged", {
+          detail: { organization: ALL_ORGANIZATIONS },
+        }),
+      );
+    };
+    orgItem.innerHTML = `
+                <input type="radio" name="organization" class="js-org-elem" onchange="">
+                <label for="org-${ALL_ORGANIZATIONS}">
+                    <div class="org-info">
+                        <strong>All organizations</strong>
+                        <p>Aggregate pull requests from your ${count} organizations</p>
+                    </div>
+                </label>
+            `;
+    return orgItem;
+  }
+
   hide() {
     document.getElementById("orgStep")?.classList.add("hidden");
   }
@@ -43,6 +70,40 @@ class GitHubOrgOrg {
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get("org");
   }
+
+  /**
+   * Split an organization selection into its organization names.
+   * The selection is either a single login, a comma-separated list of
+   * logins, or ALL_ORGANIZATIONS for every organization of the user.
+   * @param {string} selection - Value of the "org" URL parameter
+   * @returns {Promise<Array<string>>} - Organization logins
+   */
+  async resolveOrganizations(selection) {
+    if (!selection) return [];
+    if (selection === ALL_ORGANIZATIONS) {
+      const orgs = await window.githubAPI.getUserOrganizations();
+      return orgs.map((org) => org.login);
+    }
+    return selection
+      .split(",")
+      .map((login) => login.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Human readable description of an organization selection
+   * @param {string} selection - Value of the "org" URL parameter
+   * @returns {string}
+   */
+  describeSelection(selection) {
+    if (selection === ALL_ORGANIZATIONS) {
+      return "all your organizations";
+    }
+    const logins = selection.split(",");
+    return logins.length === 1
+      ? `the ${logins[0]} organization`
+      : `the ${logins.join(", ")} organizations`;
+  }
 }
 
 window.org = new GitHubOrgOrg();
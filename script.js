@@ -39,9 +39,18 @@ class PullRequest {
   get author() {
     return this.data.author;
   }
+  get organization() {
+    return this.repository.nameWithOwner.split("/")[0];
+  }
   get baseRefName() {
     return this.data.baseRefName;
   }
+  get headRefName() {
+    return this.data.headRefName;
+  }
+  get isCrossRepository() {
+    return this.data.isCrossRepository;
+  }
   get commits() {
     return this.data.commits;
   }
@@ -53,6 +62,22 @@ class PullRequest {
     return this.data.reviewDecision;
   }
 
+  get autoMergeRequest() {
+    return this.data.autoMergeRequest;
+  }
+
+  /**
+   * Merge methods enabled in the repository settings
+   * @returns {Array<string>} - Subset of "MERGE", "SQUASH" and "REBASE"
+   */
+  get allowedMergeMethods() {
+    const methods = [];
+    if (this.repository.mergeCommitAllowed) methods.push("MERGE");
+    if (this.repository.squashMergeAllowed) methods.push("SQUASH");
+    if (this.repository.rebaseMergeAllowed) methods.push("REBASE");
+    return methods;
+  }
+
   isReadyToBeMerged() {
     return this.isNotDraft && this.hasBeenApproved() && this.hasNoConflicts();
   }
@@ -135,17 +160,19 @@ class PullRequest {
     return updatedDate !== today;
   }
 
-  getJiraKey() {
-    const jiraMatch = this.title.match(/^\[([A-Z]+-\d+)\]/);
-    return jiraMatch ? jiraMatch[1] : null;
+  getTicketKey() {
+    return window.conventions.ticketKey(this);
   }
 
-  getTitleWithoutJira() {
-    return this.title.replace(/^\[([A-Z]+-\d+)\]\s*/, "");
+  getTitleWithoutTicket() {
+    return window.conventions.titleWithoutTicket(this.title);
   }
 
-  get isPOC() {
-    return this.title.startsWith("[POC]");
+  /**
+   * Title tag routing the PR to its own section, e.g. "POC"
+   */
+  get sectionTag() {
+    return window.conventions.sectionTag(this.title);
   }
 
   get latestCommitSha() {
@@ -158,29 +185,61 @@ class PullRequest {
     return commits.length > 0 ? commits[0].commit.statusCheckRollup : null;
   }
 
-  async getCommitsBehindCount() {
+  /**
+   * Number of commits of the base branch missing from the PR branch.
+   * Same-repository PRs are looked up in batched GraphQL queries, PRs from
+   * forks fall back to the REST compare API.
+   * @returns {Promise<number>}
+   */
+  getCommitsBehindCount() {
     if (!this.baseRefName || !this.latestCommitSha) {
-      return 0;
+      return Promise.resolve(0);
     }
 
     // Cache the result to avoid multiple API calls
-    if (this._behindCount !== undefined) {
-      return this._behindCount;
+    if (!this._behindCountPromise) {
+      this._behindCountPromise = this.fetchCommitsBehindCount().then(
+        (count) => {
+          // Kept for sorting by the "Up to Date" column
+          this.behindCount = count;
+          return count;
+        },
+      );
     }
+    return this._behindCountPromise;
+  }
+
+  async fetchCommitsBehindCount() {
+    const [owner, repo] = this.repository.nameWithOwner.split("/");
+    const rateLimitCallback = (rateLimitInfo) =>
+      window.main.handleRateLimitInfo(rateLimitInfo);
 
     try {
-      const [owner, repo] = this.repository.nameWithOwner.split("/");
+      if (!this.isCrossRepository) {
+        const comparison = await window.githubAPI
+          .getBehindCount(
+            owner,
+            repo,
+            this.number,
+            this.baseRefName,
+            this.headRefName,
+            rateLimitCallback,
+          )
+          .catch((error) => {
+            console.warn("Batched behind count lookup failed:", error);
+            return null;
+          });
+        if (comparison) {
+          return comparison.behind_by;
+        }
+      }
 
       // Get the current HEAD SHA of the base branch
       const currentBaseHeadSha = await window.githubAPI.getBranchHeadSha(
         owner,
         repo,
         this.baseRefName,
-        (rateLimitInfo) => {
-          if (window.main && window.main.updateRateLimitUI) {
-            window.main.updateRateLimitUI(rateLimitInfo);
-          }
-        },
+        rateLimitCallback,
       );
 
       // Compare current base HEAD with PR's latest commit
@@ -190,60 +249,135 @@ class PullRequest {
         repo,
         currentBaseHeadSha.object.sha,
         this.latestCommitSha,
-        (rateLimitInfo) => {
-          if (window.main && window.main.updateRateLimitUI) {
-            window.main.updateRateLimitUI(rateLimitInfo);
-          }
-        },
+        rateLimitCallback,
       );
 
-      this._behindCount = comparison.behind_by;
-      return this._behindCount;
+      return comparison.behind_by;
     } catch (error) {
       console.error("Error fetching commits behind count:", error);
-      this._behindCount = 0;
       return 0;
     }
   }
 }
 
+const CHECK_RUN_ICONS = {
+  success: "✅",
+  failure: "❌",
+  timed_out: "⏱️",
+  cancelled: "🚫",
+  action_required: "⚠️",
+  neutral: "⚪",
+  skipped: "⏭️",
+  stale: "💤",
+  in_progress: "🟡",
+  queued: "⏳",
+};
+
+// Conclusions of check runs whose output explains a failure
+const FAILED_CHECK_CONCLUSIONS = ["failure", "timed_out", "action_required"];
+
 class GitHubPRDashboard {
   constructor() {
     this.organization = null;
-    document.getElementById("orgDropdown").addEventListener("change", (e) => {
-      const newOrg = e.target.value;
-      window.dispatchEvent(
-        new CustomEvent("organizationChanged", {
-          detail: { organization: newOrg },
-        }),
-      );
+    this.prSnapshots = new Map();
+    // Displayed PRs by id, used to reorder rows without rebuilding them
+    this.pullRequests = new Map();
+    this.issueCount = 0;
+    // Polling timeouts of PRs whose CI was re-run or cancelled, by PR id
+    this.checkRunWatchers = new Map();
+    this.checkRunPollInterval = 10 * 1000;
+    this.checkRunMaxPollInterval = 2 * 60 * 1000;
+    this.checkRunWatchMaxDuration = 3 * 60 * 60 * 1000;
+    // Polls to wait for re-run jobs to show up before refreshing anyway
+    this.checkRunWatchMaxWaitPolls = 6;
+    // Durations of past workflow runs for CI ETAs, by owner/repo/workflow id
+    this.workflowDurations = new Map();
+    // Pending frame re-applying the sort order and filters once behind counts load
+    this.behindCountFrame = null;
+
+    const autoRefreshDropdown = document.getElementById("autoRefreshInterval");
+    autoRefreshDropdown.value =
+      localStorage.getItem("github_auto_refresh_interval") || "0";
+    autoRefreshDropdown.addEventListener("change", (e) => {
+      localStorage.setItem("github_auto_refresh_interval", e.target.value);
+      this.scheduleAutoRefresh();
+    });
+    document.addEventListener("visibilitychange", () => {
+      this.scheduleAutoRefresh();
     });
+    window.addEventListener("online", () => {
+      if (this.organization && this.lastRefreshAttempt) {
+        this.loadPullRequests({ incremental: true });
+      }
+    });
+    window.addEventListener("requestQueueChanged", (event) => {
+      this.handleRequestQueueInfo(event.detail);
+    });
+    const orgDropdown = document.getElementById("orgDropdown");
+    orgDropdown.addEventListener("change", () => {
+      // Several organizations are picked one click at a time, wait for Apply
+      if (orgDropdown.multiple) {
+        document.getElementById("applyOrgSelection").disabled =
+          !this.orgDropdownSelection ||
+          this.orgDropdownSelection === this.organization;
+        return;
+      }
+      this.applyOrgSelection();
+    });
+    document
+      .getElementById("applyOrgSelection")
+      .addEventListener("click", () => this.applyOrgSelection());
+    document
+      .getElementById("multiOrgToggle")
+      .addEventListener("change", (e) => {
+        this.setOrgDropdownMultiple(e.target.checked);
+      });
   }
 
   hide() {
+    clearTimeout(this.autoRefreshTimeout);
+    this.lastRefreshAttempt = null;
+    this.prSnapshots.clear();
+    this.pullRequests.clear();
+    this.checkRunWatchers.forEach((timeout) => clearTimeout(timeout));
+    this.checkRunWatchers.clear();
+    cancelAnimationFrame(this.behindCountFrame);
+    this.behindCountFrame = null;
     document.getElementById("mainContent")?.classList.add("hidden");
   }
   show(org) {
     console.log("Showing main content for organization:", org);
     this.organization = org;
-    window.githubAPI.clearPromiseCache();
     window.auth.hide();
     window.org.hide();
     document.getElementById("mainContent")?.classList.remove("hidden");
     this.loadPullRequests();
     this.populateOrgDropdown(org);
+    window.view.updateUI();
+    window.sorter.updateUI();
+    window.grouper.updateUI();
   }
 
   populateOrgDropdown(selectOrganization) {
     const dropdown = document.getElementById("orgDropdown");
     dropdown.innerHTML = "";
+    const selected = (selectOrganization || "").split(",");
+    this.setOrgDropdownMultiple(
+      selected.length > 1 || selectOrganization === ALL_ORGANIZATIONS,
+    );
 
     window.githubAPI.getUserOrganizations().then((orgs) => {
+      const allOption = document.createElement("option");
+      allOption.value = ALL_ORGANIZATIONS;
+      allOption.textContent = "All organizations";
+      allOption.selected = selectOrganization === ALL_ORGANIZATIONS;
+      dropdown.appendChild(allOption);
+
       orgs.forEach((org) => {
         const option = document.createElement("option");
         option.value = org.login;
         option.textContent = org.login;
-        if (org.login === selectOrganization) {
+        if (selected.includes(org.login)) {
           option.selected = true;
         }
         dropdown.appendChild(option);
@@ -251,127 +385,541 @@ class GitHubPRDashboard {
     });
   }
 
-  async loadPullRequests() {
+  /**
+   * Switch the organization dropdown between single and multi selection
+   * @param {boolean} multiple - Whether several organizations can be selected
+   */
+  setOrgDropdownMultiple(multiple) {
+    const dropdown = document.getElementById("orgDropdown");
+    dropdown.multiple = multiple;
+    dropdown.size = multiple ? 4 : 1;
+    document.getElementById("multiOrgToggle").checked = multiple;
+
+    const applyButton = document.getElementById("applyOrgSelection");
+    applyButton.classList.toggle("hidden", !multiple);
+    applyButton.disabled = true;
+  }
+
+  /**
+   * Organization selection of the dropdown, in the "org" URL parameter format
+   */
+  get orgDropdownSelection() {
+    const selected = Array.from(
+      document.getElementById("orgDropdown").selectedOptions,
+    ).map((option) => option.value);
+    return selected.includes(ALL_ORGANIZATIONS)
+      ? ALL_ORGANIZATIONS
+      : selected.join(",");
+  }
+
+  applyOrgSelection() {
+    const newOrg = this.orgDropdownSelection;
+    if (!newOrg || newOrg === this.organization) return;
+
+    window.dispatchEvent(
+      new CustomEvent("organizationChanged", {
+        detail: { organization: newOrg },
+      }),
+    );
+  }
+
+  /**
+   * Load and display the pull requests of the selected organizations
+   * @param {Object} options
+   * @param {boolean} options.incremental - Only rebuild rows that changed since the last refresh
+   */
+  async loadPullRequests({ incremental = false } = {}) {
     console.log("Loading pull requests for organization:", this.organization);
     if (!this.organization) {
       console.warn("Cannot load pull requests: missing token or organization");
       return;
     }
 
+    this.lastRefreshAttempt = Date.now();
+    window.githubAPI.clearPromiseCache();
     this.showLoading(true);
     this.hideError();
     this.hideNoDataMessage();
 
     try {
+      if (!incremental) {
+        await this.showSnapshot();
+      }
+
       const data = await this.fetchPullRequests();
-      this.displayPullRequests(data);
+      // Reconcile with the snapshot rows instead of rebuilding the table
+      this.displayPullRequests(data, {
+        incremental: incremental || this.isShowingSnapshot,
+      });
+      this.saveSnapshot(data);
+      this.hideSnapshotStatus();
       this.updateLastRefreshed();
       this.updateNoPrsMessage();
     } catch (error) {
       console.error("Error loading pull requests:", error);
-      this.showError(`Failed to load pull requests: ${error.message}`);
+      if (this.isNetworkError(error) && this.prSnapshots.size > 0) {
+        // Keep what is displayed, it refreshes once back online
+        this.showOfflineBanner();
+      } else {
+        this.showError(
+          `Failed to load pull requests: ${error.message}`,
+          error.ssoUrl,
+        );
+      }
     } finally {
       this.showLoading(false);
+      this.scheduleAutoRefresh();
     }
   }
 
+  /**
+   * Key of the saved snapshot for the current organization selection and view
+   */
+  get snapshotKey() {
+    return [
+      this.organization,
+      window.view.selectedView,
+      window.view.customQuery,
+    ].join("|");
+  }
+
+  /**
+   * Render the last successful search results for the current organization
+   * and view, if any, while fresh data is being fetched
+   */
+  async showSnapshot() {
+    const snapshot = await window.githubAPI.cache.get(
+      "github_pr_snapshots",
+      this.snapshotKey,
+    );
+    this.isShowingSnapshot = !!snapshot;
+    if (!snapshot) return;
+
+    document
+      .getElementById("mainContent")
+      .classList.toggle("multi-org", snapshot.isMultiOrganization);
+    this.displayPullRequests(snapshot.data, { fromSnapshot: true });
+    this.lastRefreshTime = new Date(snapshot.savedAt);
+    this.updateRelativeTime();
+
+    const status = document.getElementById("snapshotStatus");
+    status.textContent = "⏳ Stale, refreshing…";
+    status.style.display = "inline";
+  }
+
+  saveSnapshot(data) {
+    window.githubAPI.cache.set("github_pr_snapshots", this.snapshotKey, {
+      data,
+      isMultiOrganization: this.isMultiOrganization,
+      savedAt: Date.now(),
+    });
+  }
+
+  hideSnapshotStatus() {
+    this.isShowingSnapshot = false;
+    document.getElementById("snapshotStatus").style.display = "none";
+    document.getElementById("offlineBanner").style.display = "none";
+  }
+
+  showOfflineBanner() {
+    document.getElementById("snapshotStatus").style.display = "none";
+    const banner = document.getElementById("offlineBanner");
+    banner.textContent = `📴 You are offline. Showing pull requests as of ${this.lastRefreshTime.toLocaleString()}, they will refresh once the connection is back.`;
+    banner.style.display = "block";
+  }
+
+  /**
+   * fetch() rejects with a TypeError when the network is unreachable
+   * @param {Error} error - Error thrown while loading
+   * @returns {boolean}
+   */
+  isNetworkError(error) {
+    return !navigator.onLine || error instanceof TypeError;
+  }
+
+  get autoRefreshInterval() {
+    const minutes = parseInt(
+      localStorage.getItem("github_auto_refresh_interval") || "0",
+    );
+    return minutes * 60000;
+  }
+
+  /**
+   * Schedule the next automatic refresh. Nothing is scheduled while
+   * auto-refresh is off or the tab is hidden; becoming visible again
+   * reschedules, refreshing right away if the interval already elapsed.
+   */
+  scheduleAutoRefresh() {
+    clearTimeout(this.autoRefreshTimeout);
+    const interval = this.autoRefreshInterval;
+    if (!interval || document.hidden || !this.lastRefreshAttempt) return;
+
+    const elapsed = Date.now() - this.lastRefreshAttempt;
+    this.autoRefreshTimeout = setTimeout(
+      () => this.loadPullRequests({ incremental: true }),
+      Math.max(0, interval - elapsed),
+    );
+  }
+
+  /**
+   * Run the PR search for every selected organization and merge the results
+   * @returns {Promise<Object>} - Search data with merged edges and summed issueCount
+   */
   async fetchPullRequests() {
-    return await window.githubAPI.fetchPullRequests(
+    const organizations = await window.org.resolveOrganizations(
       this.organization,
-      (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
     );
+    this.isMultiOrganization = organizations.length > 1;
+    document
+      .getElementById("mainContent")
+      .classList.toggle("multi-org", this.isMultiOrganization);
+
+    const settled = await Promise.allSettled(
+      organizations.map((organization) =>
+        window.githubAPI.fetchPullRequests(
+          organization,
+          window.view.qualifiers,
+          (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+        ),
+      ),
+    );
+
+    // Show the organizations that loaded, report the ones that did not
+    const failures = settled
+      .map((result, index) => ({
+        ...result,
+        organization: organizations[index],
+      }))
+      .filter((result) => result.status === "rejected");
+    if (failures.length > 0 && failures.length === organizations.length) {
+      throw failures[0].reason;
+    }
+    if (failures.length > 0) {
+      failures.forEach(({ organization, reason }) => {
+        console.error(
+          `Error loading pull requests of ${organization}:`,
+          reason,
+        );
+      });
+      this.showError(
+        `Failed to load pull requests of ${failures
+          .map(
+            ({ organization, reason }) => `${organization} (${reason.message})`,
+          )
+          .join(", ")}`,
+        failures.map(({ reason }) => reason.ssoUrl).find(Boolean),
+      );
+    }
+    const results = settled
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+
+    return {
+      search: {
+        issueCount: results.reduce((sum, r) => sum + r.search.issueCount, 0),
+        edges: results.flatMap((r) => r.search.edges),
+      },
+    };
   }
 
-  displayPullRequests(data) {
+  /**
+   * Render the search results
+   * @param {Object} data - Search data returned by fetchPullRequests
+   * @param {Object} options
+   * @param {boolean} options.incremental - Keep unchanged rows and highlight changed ones instead of rebuilding the table
+   * @param {boolean} options.fromSnapshot - Data comes from the saved snapshot, not from GitHub
+   */
+  displayPullRequests(
+    data,
+    { incremental = false, fromSnapshot = false } = {},
+  ) {
     console.log("Displaying pull requests:", data);
     const tbody = document.getElementById("prTableBody");
     const pullRequests = data.search.edges.map(
       (edge) => new PullRequest(edge.node),
     );
+    this.issueCount = data.search.issueCount;
+    if (!fromSnapshot) {
+      window.notifier.checkTransitions(pullRequests);
+    }
+
+    pullRequests.sort((a, b) => window.sorter.compare(a, b));
+    this.pullRequests = new Map(pullRequests.map((pr) => [pr.id, pr]));
 
     if (pullRequests.length === 0) {
       this.showNoDataMessage();
+      this.applyGrouping();
       return;
     }
 
-    // Sort PRs with custom priority logic
-    pullRequests.sort((a, b) => {
-      const aIsReadyToBeMerged = a.isReadyToBeMerged();
-      const bIsReadyToBeMerged = b.isReadyToBeMerged();
+    // Split PRs into regular ones and the sections of their title tag
+    const regularPRs = pullRequests.filter((pr) => !pr.sectionTag);
 
-      // PRs that are ready to be merged go to top
-      if (aIsReadyToBeMerged && !bIsReadyToBeMerged) return -1;
-      if (!aIsReadyToBeMerged && bIsReadyToBeMerged) return 1;
+    // Rows from the previous render, reused when their PR did not change
+    const existingRows = new Map();
+    if (incremental) {
+      document
+        .querySelectorAll("#mainContent tr[data-pr-id]")
+        .forEach((row) => existingRows.set(row.dataset.prId, row));
+    } else {
+      this.prSnapshots.clear();
+      // Grouped rows live outside the table bodies renderRows empties
+      document.getElementById("prGroups").innerHTML = "";
+    }
 
-      const aIsBlockedByOther = a.isBlockedByOther();
-      const bIsBlockedByOther = b.isBlockedByOther();
+    this.renderRows(tbody, regularPRs, existingRows);
 
-      // PRs that are blocked by other go to bottom
-      if (aIsBlockedByOther && !bIsBlockedByOther) return 1;
-      if (!aIsBlockedByOther && bIsBlockedByOther) return -1;
+    window.conventions.settings.tags.forEach((tag) => {
+      this.renderRows(
+        window.conventions.sectionBody(tag),
+        pullRequests.filter((pr) => pr.sectionTag === tag),
+        existingRows,
+      );
+    });
+    // Rows that were rebuilt or whose PR left the results, e.g. in groups
+    existingRows.forEach((row) => row.remove());
+    this.applyGrouping();
+
+    // Forget PRs that are no longer part of the search results
+    const currentIds = new Set(pullRequests.map((pr) => pr.id));
+    for (const id of this.prSnapshots.keys()) {
+      if (!currentIds.has(id)) this.prSnapshots.delete(id);
+    }
+  }
 
-      // Within same category, sort by updatedAt (oldest first)
-      return new Date(a.updatedAt) - new Date(b.updatedAt);
+  /**
+   * Reorder the displayed rows after the sort order changed or a value it
+   * depends on loaded. Rows are moved, not rebuilt.
+   */
+  applySortOrder() {
+    const tbodies = document.querySelectorAll(
+      "#prTableBody, #prGroups tbody, .tag-section tbody",
+    );
+    tbodies.forEach((tbody) => {
+      const rows = Array.from(tbody.querySelectorAll("tr[data-pr-id]"));
+      rows
+        .filter((row) => this.pullRequests.has(row.dataset.prId))
+        .sort((a, b) =>
+          window.sorter.compare(
+            this.pullRequests.get(a.dataset.prId),
+            this.pullRequests.get(b.dataset.prId),
+          ),
+        )
+        .forEach((row) => tbody.appendChild(row));
     });
+  }
 
-    // Split PRs into regular and POC groups
-    const regularPRs = pullRequests.filter((pr) => !pr.isPOC);
-    const pocPRs = pullRequests.filter((pr) => pr.isPOC);
+  /**
+   * Lay out the rows of the main table in the sections of the group-by
+   * mode, then apply the filters
+   */
+  applyGrouping() {
+    const rows = Array.from(
+      document.querySelectorAll(
+        "#prTableBody tr[data-pr-id], #prGroups tr[data-pr-id]",
+      ),
+    )
+      .filter((row) => this.pullRequests.has(row.dataset.prId))
+      .sort((a, b) =>
+        window.sorter.compare(
+          this.pullRequests.get(a.dataset.prId),
+          this.pullRequests.get(b.dataset.prId),
+        ),
+      );
+    window.grouper.distributeRows(rows, this.pullRequests);
+    this.applyFilters();
+  }
 
-    // Create new content in document fragment first
+  /**
+   * Hide the rows not matching the filter bar and update the counts and
+   * facet chips. Rows are hidden, not removed, so clearing the filters is
+   * instant.
+   */
+  applyFilters() {
+    window.filter.updateUI();
+    window.filter.renderChips(Array.from(this.pullRequests.values()));
+
+    let shown = 0;
+    document
+      .querySelectorAll("#mainContent tbody tr[data-pr-id]")
+      .forEach((row) => {
+        const pr = this.pullRequests.get(row.dataset.prId);
+        const matches = !!pr && window.filter.matches(pr);
+        row.classList.toggle("hidden", !matches);
+        if (matches) shown++;
+      });
+    window.grouper.updateSummaries(this.pullRequests);
+
+    document.querySelectorAll(".tag-section").forEach((section) => {
+      const sectionShown = section.querySelectorAll(
+        "tr[data-pr-id]:not(.hidden)",
+      ).length;
+      section.style.display = sectionShown > 0 ? "block" : "none";
+      section.querySelector(".tag-section-count").textContent = sectionShown;
+    });
+
+    document.getElementById("noMatchMessage").style.display =
+      shown === 0 && this.pullRequests.size > 0 ? "block" : "none";
+    this.updatePRCount(this.pullRequests.size, this.issueCount, shown);
+  }
+
+  /**
+   * Render PR rows into a table body. Rows of PRs that did not change since
+   * the previous snapshot are kept as is, changed rows are rebuilt and
+   * highlighted when their CI state, review decision or mergeability moved.
+   * @param {HTMLTableSectionElement} tbody - Table body to render into
+   * @param {Array<PullRequest>} pullRequests - Sorted PRs to display
+   * @param {Map<string, HTMLTableRowElement>} existingRows - Rows of the previous render by PR id
+   */
+  renderRows(tbody, pullRequests, existingRows) {
     const fragment = document.createDocumentFragment();
     const newRows = [];
 
-    regularPRs.forEach(async (pr, index) => {
-      const row = this.createPRRow(pr);
-      fragment.appendChild(row);
-      newRows.push({ pr, row, index });
-    });
+    pullRequests.forEach((pr, index) => {
+      const previous = this.prSnapshots.get(pr.id);
+      const snapshot = this.createSnapshot(pr, previous);
+      this.prSnapshots.set(pr.id, snapshot);
 
-    // Build POC section
-    const pocContainer = document.getElementById("pocPrsContainer");
-    const pocFragment = document.createDocumentFragment();
-    const pocRows = [];
-
-    pocPRs.forEach(async (pr, index) => {
-      const row = this.createPRRow(pr);
-      pocFragment.appendChild(row);
-      pocRows.push({ pr, row, index });
+      let row = existingRows.get(pr.id);
+      if (row && previous && previous.json === snapshot.json) {
+        existingRows.delete(pr.id);
+      } else {
+        row = this.createPRRow(pr);
+        newRows.push({ pr, row, index });
+        if (previous && this.getChangedFields(previous, snapshot).length > 0) {
+          this.highlightRow(row);
+        }
+      }
+      fragment.appendChild(row);
+      this.trackBehindCount(pr, row, snapshot);
     });
 
     tbody.innerHTML = "";
     tbody.appendChild(fragment);
 
-    // Load CI status asynchronously for each PR
+    // Load CI status asynchronously for each new PR row
     newRows.forEach(({ pr, row, index }) => {
       this.loadCIStatusForPR(pr, row, index);
     });
+  }
+
+  /**
+   * Capture the state of a PR used to detect changes between refreshes
+   * @param {PullRequest} pr - Pull request
+   * @param {Object} previous - Snapshot from the previous refresh, if any
+   * @returns {Object} - Snapshot of the PR
+   */
+  createSnapshot(pr, previous = null) {
+    const statusRollup = pr.getStatusCheckRollup();
+    return {
+      json: JSON.stringify(pr.data),
+      ciState: statusRollup ? statusRollup.state : null,
+      reviewDecision: pr.reviewDecision,
+      mergeable: pr.mergeable,
+      behindCount: previous ? previous.behindCount : undefined,
+    };
+  }
+
+  getChangedFields(previous, snapshot) {
+    return ["ciState", "reviewDecision", "mergeable", "behindCount"].filter(
+      (field) => previous[field] !== snapshot[field],
+    );
+  }
+
+  /**
+   * Look up the behind count of a PR, the one lookup its row uses for the
+   * "Up to Date" badge and the sync button. Records it in the snapshot and
+   * rebuilds the row when it differs from the count seen on the previous
+   * refresh.
+   * @param {PullRequest} pr - Pull request
+   * @param {HTMLTableRowElement} row - Row currently displaying the PR
+   * @param {Object} snapshot - Snapshot of the PR for this refresh
+   */
+  trackBehindCount(pr, row, snapshot) {
+    if (!pr.hasNoConflicts()) return;
+
+    pr.getCommitsBehindCount().then((count) => {
+      const previousCount = snapshot.behindCount;
+      snapshot.behindCount = count;
+      // Superseded by a later refresh
+      if (this.pullRequests.get(pr.id) !== pr) return;
+
+      // The row may have been rebuilt meanwhile, e.g. when its CI finished
+      const currentRow = row.isConnected
+        ? row
+        : document.querySelector(`tr[data-pr-id="${pr.id}"]`);
+      if (!currentRow) return;
+
+      if (previousCount !== undefined && previousCount !== count) {
+        const newRow = this.createPRRow(pr);
+        currentRow.replaceWith(newRow);
+        this.highlightRow(newRow);
+        this.loadCIStatusForPR(pr, newRow);
+      } else {
+        this.showBehindCount(pr, currentRow);
+      }
+
+      this.scheduleBehindCountUpdate();
+    });
+  }
 
-    // Handle POC PRs section
-    const pocTbody = document.getElementById("pocTableBody");
-    pocTbody.innerHTML = "";
-    if (pocPRs.length > 0) {
-      pocContainer.style.display = "block";
-      document.getElementById("pocCount").textContent = pocPRs.length;
-      pocTbody.appendChild(pocFragment);
-      pocRows.forEach(({ pr, row, index }) => {
-        this.loadCIStatusForPR(pr, row, index);
-      });
-    } else {
-      pocContainer.style.display = "none";
+  /**
+   * Show a freshly loaded behind count in a row built before it was known
+   * @param {PullRequest} pr - Pull request
+   * @param {HTMLTableRowElement} row - Row displaying the PR
+   */
+  showBehindCount(pr, row) {
+    row.querySelector(".col-uptodate").replaceWith(this.createUpToDateCell(pr));
+
+    // Rendering the actions once the CI status loads adds it again
+    const actionsCell = row.querySelector(".col-actions");
+    if (pr.behindCount > 0 && !actionsCell.querySelector(".sync-button")) {
+      actionsCell.insertAdjacentHTML(
+        "beforeend",
+        ` ${this.createSyncButton(pr)}`,
+      );
     }
   }
 
+  /**
+   * Re-apply the sort order and filters, which may depend on behind counts,
+   * once for all the counts resolved in the same frame
+   */
+  scheduleBehindCountUpdate() {
+    if (this.behindCountFrame) return;
+
+    this.behindCountFrame = requestAnimationFrame(() => {
+      this.behindCountFrame = null;
+      if (window.sorter.needsBehindCounts) {
+        this.applySortOrder();
+      }
+      this.applyFilters();
+    });
+  }
+
+  highlightRow(row) {
+    row.classList.add("pr-row-changed");
+    row.addEventListener(
+      "animationend",
+      () => row.classList.remove("pr-row-changed"),
+      { once: true },
+    );
+  }
+
   createPRRow(pr) {
     const row = document.createElement("tr");
+    row.dataset.prId = pr.id;
 
     this.applyRowStyling(row, pr);
 
     row.appendChild(this.createCheckoutCell(pr));
+    row.appendChild(this.createOrganizationCell(pr));
     row.appendChild(this.createRepositoryCell(pr));
     row.appendChild(this.createAuthorCell(pr));
     row.appendChild(this.createTitleCell(pr));
     row.appendChild(this.createStatusCell(pr));
+    row.appendChild(this.createDateCell(pr.createdAt));
+    row.appendChild(this.createDateCell(pr.updatedAt));
     row.appendChild(this.createUpToDateCell(pr));
     row.appendChild(this.createCICell());
     row.appendChild(this.createActionsCell());
@@ -403,6 +951,13 @@ class GitHubPRDashboard {
     return cell;
   }
 
+  createOrganizationCell(pr) {
+    const cell = document.createElement("td");
+    cell.className = "col-organization";
+    cell.textContent = pr.organization;
+    return cell;
+  }
+
   createRepositoryCell(pr) {
     const cell = document.createElement("td");
     cell.className = "col-repository";
@@ -433,24 +988,24 @@ class GitHubPRDashboard {
     const cell = document.createElement("td");
     cell.className = "col-title";
 
-    const jiraKey = pr.getJiraKey();
+    const ticketKey = pr.getTicketKey();
 
-    if (jiraKey) {
-      this.addJiraLink(cell, jiraKey);
+    if (ticketKey) {
+      this.addTicketLink(cell, ticketKey, pr);
       cell.appendChild(document.createTextNode(" "));
     }
-    this.addPRTitleLink(cell, pr.url, pr.getTitleWithoutJira());
+    this.addPRTitleLink(cell, pr.url, pr.getTitleWithoutTicket());
 
     return cell;
   }
 
-  addJiraLink(cell, jiraKey) {
-    const jiraLink = document.createElement("a");
-    jiraLink.href = `https://hoverinc.atlassian.net/browse/${jiraKey}`;
-    jiraLink.target = "_blank";
-    jiraLink.textContent = `[${jiraKey}]`;
-    jiraLink.className = "jira-link";
-    cell.appendChild(jiraLink);
+  addTicketLink(cell, ticketKey, pr) {
+    const ticketLink = document.createElement("a");
+    ticketLink.href = window.conventions.ticketUrl(ticketKey, pr);
+    ticketLink.target = "_blank";
+    ticketLink.textContent = `[${ticketKey}]`;
+    ticketLink.className = "ticket-link";
+    cell.appendChild(ticketLink);
   }
 
   addPRTitleLink(cell, url, title) {
@@ -476,25 +1031,9 @@ class GitHubPRDashboard {
       cell.innerHTML = '<span class="status-badge error">❌ Conflicts</span>';
     } else if (pr.hasUnknownMergeStatus) {
       cell.innerHTML = '<span class="status-badge neutral">🔄 Loading</span>';
-    } else {
-      // Check if PR is behind using the API (more reliable than mergeStateStatus)
-      pr.getCommitsBehindCount()
-        .then((count) => {
-          if (count > 0) {
-            cell.innerHTML = `<span class="status-badge warning">⚠️ Behind (${count} commit${count === 1 ? "" : "s"})</span>`;
-          } else {
-            // PR is up to date - show nothing (empty cell)
-            cell.innerHTML = "";
-          }
-        })
-        .catch((error) => {
-          console.error("Error checking behind status:", error);
-          // On error, fall back to the old unreliable method
-          if (pr.isBehindMainBranch) {
-            cell.innerHTML =
-              '<span class="status-badge warning">⚠️ Behind</span>';
-          }
-        });
+    } else if (pr.behindCount > 0) {
+      // Filled in by trackBehindCount, more reliable than mergeStateStatus
+      cell.innerHTML = `<span class="status-badge warning">⚠️ Behind (${pr.behindCount} commit${pr.behindCount === 1 ? "" : "s"})</span>`;
     }
     return cell;
   }
@@ -530,6 +1069,27 @@ class GitHubPRDashboard {
     return cell;
   }
 
+  /**
+   * Cell showing how long ago a date was, e.g. "3d", with the full date on hover
+   * @param {string} isoDate - ISO 8601 date
+   */
+  createDateCell(isoDate) {
+    const cell = document.createElement("td");
+    cell.className = "col-date";
+    const date = new Date(isoDate);
+    const diffMinutes = Math.floor((Date.now() - date) / 60000);
+
+    if (diffMinutes < 60) {
+      cell.textContent = `${Math.max(diffMinutes, 0)}m`;
+    } else if (diffMinutes < 60 * 24) {
+      cell.textContent = `${Math.floor(diffMinutes / 60)}h`;
+    } else {
+      cell.textContent = `${Math.floor(diffMinutes / (60 * 24))}d`;
+    }
+    cell.title = date.toLocaleString();
+    return cell;
+  }
+
   createCICell() {
     const cell = document.createElement("td");
     cell.className = "col-ci";
@@ -560,6 +1120,7 @@ class GitHubPRDashboard {
       }
 
       const statusRollup = pr.getStatusCheckRollup();
+      const [owner, repo] = pr.repository.nameWithOwner.split("/");
 
       // Get basic status from GraphQL first
       let ciStatus = {
@@ -576,16 +1137,21 @@ class GitHubPRDashboard {
               class: "success",
               failedChecks: [],
             };
+            // Checks that failed on this commit passed on a re-run
+            window.flakyChecks.recordSuccess(owner, repo, sha);
             break;
           case "FAILURE":
           case "ERROR":
             // Only use REST API when there are actual failures
-            const [owner, repo] = pr.repository.nameWithOwner.split("/");
             const failedChecks = await this.fetchFailedChecks(owner, repo, sha);
             ciStatus = {
               text: statusRollup.state === "FAILURE" ? "❌ Failed" : "💥 Error",
               class: "error",
-              failedChecks: failedChecks,
+              failedChecks: await this.addFlakyStats(
+                pr.repository.nameWithOwner,
+                sha,
+                failedChecks,
+              ),
             };
             break;
           case "PENDING":
@@ -599,6 +1165,9 @@ class GitHubPRDashboard {
       }
 
       this.updateCICell(row, ciStatus, pr);
+      if (statusRollup && statusRollup.state === "PENDING") {
+        this.watchCheckRuns(pr.id);
+      }
     } catch (error) {
       console.warn(`Failed to load CI status for PR ${pr.number}:`, error);
       this.updateCICell(
@@ -622,6 +1191,31 @@ class GitHubPRDashboard {
     );
   }
 
+  /**
+   * Record the failed checks of a commit in the flaky check history and
+   * attach the flakiness of each one
+   * @param {string} repoNameWithOwner - Repository name with owner (e.g., "owner/repo")
+   * @param {string} sha - Commit SHA
+   * @param {Array<Object>} failedChecks - Failed checks returned by fetchFailedChecks
+   * @returns {Promise<Array<Object>>} - Failed checks with a flaky property
+   */
+  async addFlakyStats(repoNameWithOwner, sha, failedChecks) {
+    await window.flakyChecks.record(
+      repoNameWithOwner,
+      sha,
+      failedChecks.map((check) => ({
+        name: check.name,
+        conclusion: "failure",
+      })),
+    );
+    return await Promise.all(
+      failedChecks.map(async (check) => ({
+        ...check,
+        flaky: await window.flakyChecks.getStats(repoNameWithOwner, check.name),
+      })),
+    );
+  }
+
   updateCICell(row, ciStatus, pr = null) {
     const ciCell = row.querySelector(".col-ci");
     const actionsCell = row.querySelector(".col-actions");
@@ -634,6 +1228,9 @@ class GitHubPRDashboard {
         : failedChecks;
       const hiddenChecks = showExpandButton ? failedChecks.slice(2) : [];
 
+      const renderCheck = (check) =>
+        `<li><a href="${check.url}" target="_blank" class="check-link">${check.name}</a>${check.flaky ? ` ${window.flakyChecks.createBadge(check.flaky)}` : ""}</li>`;
+
       const expandButton = showExpandButton
         ? `<li class="expand-checks-item"><button class="expand-checks-button" onclick="window.main.toggleFailedChecks(this)" data-expanded="false">more... (${hiddenChecks.length})</button></li>`
         : "";
@@ -644,22 +1241,12 @@ class GitHubPRDashboard {
                         <span class="status-badge ${ciStatus.class}">${ciStatus.text}</span>
                     </div>
                     <ul class="failed-checks-list">
-                        ${visibleChecks
-                          .map(
-                            (check) =>
-                              `<li><a href="${check.url}" target="_blank" class="check-link">${check.name}</a></li>`,
-                          )
-                          .join("")}
+                        ${visibleChecks.map(renderCheck).join("")}
                         ${expandButton}
                         ${
                           hiddenChecks.length > 0
                             ? `<div class="hidden-checks" style="display: none;">
-                            ${hiddenChecks
-                              .map(
-                                (check) =>
-                                  `<li><a href="${check.url}" target="_blank" class="check-link">${check.name}</a></li>`,
-                              )
-                              .join("")}
+                            ${hiddenChecks.map(renderCheck).join("")}
                         </div>`
                             : ""
                         }
@@ -669,11 +1256,539 @@ class GitHubPRDashboard {
     } else {
       ciCell.innerHTML = `<span class="status-badge ${ciStatus.class}">${ciStatus.text}</span>`;
     }
+    if (pr && pr.latestCommitSha && pr.getStatusCheckRollup()) {
+      ciCell.insertAdjacentHTML("beforeend", this.createCIBreakdown(pr));
+    }
 
     // Update Actions column based on PR state
     this.updateActionsCell(actionsCell, pr, ciStatus);
   }
 
+  /**
+   * Collapsed panel listing every check run of the PR's latest commit,
+   * loaded when first opened
+   * @param {PullRequest} pr - Pull request
+   * @returns {string} - HTML of the panel
+   */
+  createCIBreakdown(pr) {
+    return `<details class="ci-breakdown" ontoggle="window.main.toggleCIBreakdown(this, '${pr.repository.nameWithOwner}', '${pr.latestCommitSha}')">
+      <summary>All checks</summary>
+      <div class="ci-breakdown-panel">Loading checks…</div>
+    </details>`;
+  }
+
+  async toggleCIBreakdown(details, repoNameWithOwner, sha) {
+    if (!details.open || details.dataset.loaded === "true") return;
+
+    const [owner, repo] = repoNameWithOwner.split("/");
+    const panel = details.querySelector(".ci-breakdown-panel");
+    const rateLimitCallback = (rateLimitInfo) =>
+      this.handleRateLimitInfo(rateLimitInfo);
+    try {
+      const [checkRuns, statuses] = await Promise.all([
+        window.githubAPI.fetchCheckRuns(owner, repo, sha, rateLimitCallback),
+        window.githubAPI
+          .fetchCommitStatuses(owner, repo, sha, rateLimitCallback)
+          .catch(() => []),
+      ]);
+      // Shown like check runs, without duration, annotations or actions
+      statuses.forEach((status) => {
+        checkRuns.push({
+          name: status.name,
+          status: status.state === "pending" ? "in_progress" : "completed",
+          conclusion:
+            status.state === "pending"
+              ? null
+              : status.state === "success"
+                ? "success"
+                : "failure",
+          url: status.url,
+          outputTitle: status.description,
+          annotationsCount: 0,
+        });
+      });
+      checkRuns.sort((a, b) => a.name.localeCompare(b.name));
+      this.recordCheckRunOutcomes(repoNameWithOwner, sha, checkRuns);
+      details.dataset.loaded = "true";
+      details.querySelector("summary").textContent =
+        `All checks (${checkRuns.length})`;
+
+      panel.innerHTML = "";
+      if (checkRuns.length === 0) {
+        panel.textContent = "No checks for this commit.";
+        return;
+      }
+      const list = document.createElement("ul");
+      list.className = "ci-check-list";
+      checkRuns.forEach((checkRun) =>
+        list.appendChild(this.createCheckRunItem(checkRun, owner, repo)),
+      );
+      panel.appendChild(list);
+    } catch (error) {
+      console.error("Error loading check runs:", error);
+      panel.textContent = `Could not load checks: ${error.message}`;
+    }
+  }
+
+  /**
+   * List item of a check run: status, duration and conclusion, plus the
+   * output and annotations explaining why it failed
+   * @param {Object} checkRun - Check run returned by fetchCheckRuns
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {HTMLLIElement}
+   */
+  createCheckRunItem(checkRun, owner, repo) {
+    const state = checkRun.conclusion || checkRun.status;
+    const item = document.createElement("li");
+    item.className = `ci-check ci-check-${state}`;
+
+    const header = document.createElement("div");
+    header.className = "ci-check-header";
+    const link = document.createElement("a");
+    link.href = checkRun.url;
+    link.target = "_blank";
+    link.className = "check-link";
+    link.textContent = checkRun.name;
+    const details = document.createElement("span");
+    details.className = "ci-check-details";
+    details.textContent = [
+      state.replace(/_/g, " "),
+      this.getCheckRunDuration(checkRun),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    header.append(`${CHECK_RUN_ICONS[state] || "⚪"} `, link, " ", details);
+    if (checkRun.jobId) {
+      header.appendChild(this.createCheckRunActions(checkRun, owner, repo));
+    }
+    item.appendChild(header);
+
+    if (!FAILED_CHECK_CONCLUSIONS.includes(checkRun.conclusion)) {
+      return item;
+    }
+
+    window.flakyChecks
+      .getStats(`${owner}/${repo}`, checkRun.name)
+      .then((stats) => {
+        if (stats) {
+          details.insertAdjacentHTML(
+            "afterend",
+            ` ${window.flakyChecks.createBadge(stats)}`,
+          );
+        }
+      });
+
+    if (checkRun.outputTitle || checkRun.outputSummary) {
+      const output = document.createElement("div");
+      output.className = "ci-check-output";
+      if (checkRun.outputTitle) {
+        const title = document.createElement("strong");
+        title.textContent = checkRun.outputTitle;
+        output.appendChild(title);
+      }
+      if (checkRun.outputSummary) {
+        const summary = document.createElement("pre");
+        summary.textContent =
+          checkRun.outputSummary.length > 1000
+            ? `${checkRun.outputSummary.slice(0, 1000)}…`
+            : checkRun.outputSummary;
+        output.appendChild(summary);
+      }
+      item.appendChild(output);
+    }
+
+    if (checkRun.annotationsCount > 0) {
+      const annotations = document.createElement("ul");
+      annotations.className = "ci-check-annotations";
+      annotations.textContent = "Loading annotations…";
+      item.appendChild(annotations);
+      this.loadCheckRunAnnotations(annotations, owner, repo, checkRun.id);
+    }
+
+    return item;
+  }
+
+  /**
+   * Buttons acting on the GitHub Actions job of a check run: re-run the
+   * job or its whole workflow once completed, cancel the workflow run
+   * while it runs
+   * @param {Object} checkRun - Check run returned by fetchCheckRuns
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {HTMLSpanElement}
+   */
+  createCheckRunActions(checkRun, owner, repo) {
+    const { jobId, workflowRunId } = checkRun;
+    const rateLimitCallback = (rateLimitInfo) =>
+      this.handleRateLimitInfo(rateLimitInfo);
+    const actions =
+      checkRun.status === "completed"
+        ? [
+            {
+              text: "🔄 Job",
+              title: "Re-run this job",
+              loadingText: "⏳",
+              successText: "✅ Re-run started",
+              offlineAction: {
+                type: "rerun-job",
+                params: { owner, repo, jobId },
+                description: `Re-run ${checkRun.name} in ${owner}/${repo}`,
+              },
+              action: () =>
+                window.githubAPI.rerunJob(
+                  owner,
+                  repo,
+                  jobId,
+                  rateLimitCallback,
+                ),
+            },
+            {
+              text: "🔁 Workflow",
+              title: "Re-run every job of this workflow run",
+              loadingText: "⏳",
+              successText: "✅ Re-run started",
+              offlineAction: {
+                type: "rerun-workflow",
+                params: { owner, repo, runId: workflowRunId },
+                description: `Re-run workflow of ${checkRun.name} in ${owner}/${repo}`,
+              },
+              action: () =>
+                window.githubAPI.rerunWorkflow(
+                  owner,
+                  repo,
+                  workflowRunId,
+                  rateLimitCallback,
+                ),
+            },
+          ]
+        : [
+            {
+              text: "⏹ Cancel",
+              title: "Cancel the workflow run of this job",
+              loadingText: "⏳",
+              successText: "✅ Cancelling",
+              offlineAction: {
+                type: "cancel-run",
+                params: { owner, repo, runId: workflowRunId },
+                description: `Cancel workflow of ${checkRun.name} in ${owner}/${repo}`,
+              },
+              action: () =>
+                window.githubAPI.cancelWorkflowRun(
+                  owner,
+                  repo,
+                  workflowRunId,
+                  rateLimitCallback,
+                ),
+            },
+          ];
+
+    const container = document.createElement("span");
+    container.className = "ci-check-actions";
+    actions.forEach((config) => {
+      const button = document.createElement("button");
+      button.className = "ci-check-action";
+      button.textContent = config.text;
+      button.title = config.title;
+      button.addEventListener("click", () =>
+        this.handleCheckRunAction(button, config),
+      );
+      container.appendChild(button);
+    });
+    return container;
+  }
+
+  /**
+   * Run a check run action, report its outcome on the button and watch the
+   * CI of the PR until the runs it started complete
+   * @param {HTMLButtonElement} button - The button that was clicked
+   * @param {Object} config - Action built by createCheckRunActions
+   */
+  async handleCheckRunAction(button, config) {
+    if (window.auth.isMissingScope("workflow")) {
+      button.title =
+        "Re-running and cancelling jobs requires the workflow scope";
+      this.setButtonError(button, "❌ Needs workflow scope", 5000);
+      return;
+    }
+
+    const row = button.closest("tr[data-pr-id]");
+    await this.handleActionButton(button, {
+      loadingText: config.loadingText,
+      offlineAction: config.offlineAction,
+      action: config.action,
+      onSuccess: () => {
+        this.setButtonSuccess(button, config.successText, 5000);
+        if (row) {
+          this.watchCheckRuns(row.dataset.prId, { afterAction: true });
+        }
+      },
+      onError: (error) => {
+        button.title = error.message;
+        if (error instanceof GitHubPermissionError) {
+          this.setButtonError(button, "❌ Not allowed", 10000);
+          this.showActionError(button, error.message, 10000);
+        } else {
+          this.setButtonError(button, "❌ Failed", 5000);
+        }
+      },
+    });
+  }
+
+  /**
+   * Poll the check runs of a PR while its CI runs, with a back-off while
+   * nothing completes, showing the progress in its CI cell. Once GitHub
+   * reports the CI as finished, only the row of the PR is rebuilt.
+   * @param {string} prId - Pull request node ID
+   * @param {Object} options
+   * @param {boolean} options.afterAction - Started by a re-run or cancel, whose runs may not be listed yet
+   */
+  watchCheckRuns(prId, { afterAction = false } = {}) {
+    if (!this.pullRequests.has(prId) || this.checkRunWatchers.has(prId)) {
+      return;
+    }
+
+    const startedAt = Date.now();
+    let polls = 0;
+    let interval = this.checkRunPollInterval;
+    let previousCompleted = null;
+    // Right after a re-run GitHub may still list the previous, completed runs
+    let sawRunning = !afterAction;
+
+    const poll = async () => {
+      const pr = this.pullRequests.get(prId);
+      if (!pr || Date.now() - startedAt > this.checkRunWatchMaxDuration) {
+        this.checkRunWatchers.delete(prId);
+        return;
+      }
+      polls++;
+
+      try {
+        const [owner, repo] = pr.repository.nameWithOwner.split("/");
+        const checkRuns = await window.githubAPI.fetchCheckRuns(
+          owner,
+          repo,
+          pr.latestCommitSha,
+          (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+        );
+        this.recordCheckRunOutcomes(
+          pr.repository.nameWithOwner,
+          pr.latestCommitSha,
+          checkRuns,
+        );
+        const completed = checkRuns.filter(
+          (checkRun) => checkRun.status === "completed",
+        ).length;
+        sawRunning = sawRunning || completed < checkRuns.length;
+
+        const mayBeDone = sawRunning
+          ? completed === checkRuns.length
+          : polls >= this.checkRunWatchMaxWaitPolls;
+        if (mayBeDone && (await this.refreshCIState(pr))) {
+          this.checkRunWatchers.delete(prId);
+          return;
+        }
+
+        if (sawRunning) {
+          const remaining = await this.estimateRemainingTime(
+            owner,
+            repo,
+            pr.latestCommitSha,
+            checkRuns,
+          );
+          this.showCheckRunProgress(
+            prId,
+            completed,
+            checkRuns.length,
+            remaining,
+          );
+        }
+
+        // Back off while nothing moves, poll faster again once it does
+        interval =
+          completed === previousCompleted
+            ? Math.min(interval * 1.5, this.checkRunMaxPollInterval)
+            : this.checkRunPollInterval;
+        previousCompleted = completed;
+      } catch (error) {
+        console.warn(`Error polling check runs of PR ${prId}:`, error);
+        interval = Math.min(interval * 2, this.checkRunMaxPollInterval);
+      }
+      this.checkRunWatchers.set(prId, setTimeout(poll, interval));
+    };
+
+    this.checkRunWatchers.set(prId, setTimeout(poll, interval));
+  }
+
+  /**
+   * Fetch the CI state of a PR and rebuild its row when it finished
+   * @param {PullRequest} pr - Pull request
+   * @returns {Promise<boolean>} - Whether the CI finished
+   */
+  async refreshCIState(pr) {
+    const commits = await window.githubAPI.fetchPullRequestCommits(
+      pr.id,
+      (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+    );
+    const commit = commits.nodes.length > 0 ? commits.nodes[0].commit : null;
+    if (commit && commit.statusCheckRollup?.state === "PENDING") {
+      // Legacy commit statuses may still be running
+      return false;
+    }
+
+    pr.data.commits = commits;
+    this.prSnapshots.set(
+      pr.id,
+      this.createSnapshot(pr, this.prSnapshots.get(pr.id)),
+    );
+
+    const row = document.querySelector(`tr[data-pr-id="${pr.id}"]`);
+    if (row) {
+      const newRow = this.createPRRow(pr);
+      row.replaceWith(newRow);
+      this.highlightRow(newRow);
+      this.loadCIStatusForPR(pr, newRow);
+      // Sort order, filters and groups may depend on the CI state
+      this.applyGrouping();
+    }
+    return true;
+  }
+
+  /**
+   * Estimate when the running workflows of a commit complete, from the
+   * median duration of the previous successful runs of each workflow
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {Array<Object>} checkRuns - Check runs returned by fetchCheckRuns
+   * @returns {Promise<number|null>} - Milliseconds left, null when unknown
+   */
+  async estimateRemainingTime(owner, repo, sha, checkRuns) {
+    const runningIds = new Set(
+      checkRuns
+        .filter((checkRun) => checkRun.status !== "completed")
+        .map((checkRun) => checkRun.workflowRunId)
+        .filter(Boolean),
+    );
+    if (runningIds.size === 0) return null;
+
+    const rateLimitCallback = (rateLimitInfo) =>
+      this.handleRateLimitInfo(rateLimitInfo);
+    const workflowRuns = await window.githubAPI
+      .fetchWorkflowRuns(owner, repo, sha, rateLimitCallback)
+      .catch(() => []);
+
+    let remaining = null;
+    for (const run of workflowRuns) {
+      if (!runningIds.has(String(run.id)) || !run.run_started_at) continue;
+
+      const durationKey = `${owner}/${repo}/${run.workflow_id}`;
+      if (!this.workflowDurations.has(durationKey)) {
+        this.workflowDurations.set(
+          durationKey,
+          window.githubAPI
+            .fetchWorkflowDurations(
+              owner,
+              repo,
+              run.workflow_id,
+              rateLimitCallback,
+            )
+            .catch(() => []),
+        );
+      }
+      const durations = (await this.workflowDurations.get(durationKey)).sort(
+        (a, b) => a - b,
+      );
+      if (durations.length === 0) continue;
+
+      const median = durations[Math.floor(durations.length / 2)];
+      const runRemaining = median - (Date.now() - new Date(run.run_started_at));
+      remaining = Math.max(remaining ?? runRemaining, runRemaining);
+    }
+    return remaining;
+  }
+
+  recordCheckRunOutcomes(repoNameWithOwner, sha, checkRuns) {
+    window.flakyChecks.record(
+      repoNameWithOwner,
+      sha,
+      checkRuns
+        .filter((checkRun) => checkRun.status === "completed")
+        .map(({ name, conclusion }) => ({ name, conclusion })),
+    );
+  }
+
+  showCheckRunProgress(prId, completed, total, remaining = null) {
+    const row = document.querySelector(`tr[data-pr-id="${prId}"]`);
+    const badge = row && row.querySelector(".col-ci .status-badge");
+    // Only commit statuses are running, keep the plain pending badge
+    if (!badge || total === 0) return;
+
+    let eta = "";
+    if (remaining !== null) {
+      eta =
+        remaining > 0
+          ? ` · ~${this.formatDuration(remaining)} left`
+          : " · taking longer than usual";
+    }
+    badge.className = "status-badge warning";
+    badge.textContent = `🟡 ${completed} of ${total} checks complete${eta}`;
+  }
+
+  async loadCheckRunAnnotations(list, owner, repo, checkRunId) {
+    try {
+      const annotations = await window.githubAPI.fetchCheckRunAnnotations(
+        owner,
+        repo,
+        checkRunId,
+        (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+      );
+      list.innerHTML = "";
+      annotations.forEach((annotation) => {
+        const item = document.createElement("li");
+        item.className = `ci-annotation ci-annotation-${annotation.annotation_level}`;
+        const location = document.createElement("code");
+        location.textContent = `${annotation.path}:${annotation.start_line}`;
+        const message = document.createElement("span");
+        message.textContent = annotation.title
+          ? `${annotation.title}: ${annotation.message}`
+          : annotation.message;
+        item.append(location, " ", message);
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.warn(
+        `Error loading annotations of check run ${checkRunId}:`,
+        error,
+      );
+      list.textContent = "Could not load annotations.";
+    }
+  }
+
+  /**
+   * Human readable run time of a check run, elapsed time while it runs
+   * @param {Object} checkRun - Check run returned by fetchCheckRuns
+   * @returns {string|null}
+   */
+  getCheckRunDuration(checkRun) {
+    if (!checkRun.startedAt) return null;
+    const end = checkRun.completedAt
+      ? new Date(checkRun.completedAt)
+      : new Date();
+    const duration = this.formatDuration(end - new Date(checkRun.startedAt));
+    return checkRun.completedAt ? duration : `running for ${duration}`;
+  }
+
+  formatDuration(milliseconds) {
+    const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
   updateActionsCell(actionsCell, pr, ciStatus) {
     const actions = [];
 
@@ -684,35 +1799,93 @@ class GitHubPRDashboard {
       );
     }
 
-    // Add re-run button for failed CI
-    if (pr && ciStatus.class === "error" && ciStatus.failedChecks.length > 0) {
+    // Add re-run button for failed CI, which only GitHub Actions can re-run
+    if (
+      pr &&
+      ciStatus.class === "error" &&
+      ciStatus.failedChecks.some((check) => check.isActions)
+    ) {
       actions.push(
         `<button class="rerun-button" onclick="window.main.handleRerunFailedJobs('${pr.repository.nameWithOwner}', '${pr.latestCommitSha}', this)" title="Re-run failed jobs">🔄 Re-run</button>`,
       );
     }
 
+    // Add merge controls for PRs ready to be merged, once CI passed or
+    // when there are no checks
+    if (
+      pr &&
+      pr.isReadyToBeMerged() &&
+      (ciStatus.class === "success" || !pr.getStatusCheckRollup())
+    ) {
+      actions.push(this.createMergeControls(pr, "merge"));
+    }
+
+    // Offer auto-merge for PRs still waiting on CI
+    if (pr && pr.autoMergeRequest) {
+      actions.push(
+        `<span class="status-badge neutral" title="Auto-merge (${pr.autoMergeRequest.mergeMethod.toLowerCase()}) enabled">🤖 Auto-merge</span>`,
+      );
+    } else if (
+      pr &&
+      pr.isNotDraft &&
+      ciStatus.class === "warning" &&
+      pr.repository.autoMergeAllowed
+    ) {
+      actions.push(this.createMergeControls(pr, "auto-merge"));
+    }
+
+    // Behind count loaded by trackBehindCount
+    if (pr && pr.hasNoConflicts() && pr.behindCount > 0) {
+      actions.push(this.createSyncButton(pr));
+    }
+
     // Set initial actions
     actionsCell.innerHTML = actions.join(" ");
+  }
 
-    // Check if PR is behind using the API and add sync button asynchronously
-    if (pr && pr.hasNoConflicts()) {
-      pr.getCommitsBehindCount()
-        .then((count) => {
-          if (count > 0) {
-            const syncButton = `<button class="sync-button" onclick="window.main.handleSyncWithBaseBranch('${pr.repository.nameWithOwner}', ${pr.number}, '${pr.baseRefName}', this)" title="Sync with base branch">🔄 Sync with ${pr.baseRefName}</button>`;
-
-            // Add sync button to existing actions
-            const currentActions = actionsCell.innerHTML
-              ? [actionsCell.innerHTML]
-              : [];
-            currentActions.push(syncButton);
-            actionsCell.innerHTML = currentActions.join(" ");
-          }
-        })
-        .catch((error) => {
-          console.error("Error checking behind status for sync button:", error);
-        });
-    }
+  createSyncButton(pr) {
+    return `<button class="sync-button" onclick="window.main.handleSyncWithBaseBranch('${pr.repository.nameWithOwner}', ${pr.number}, '${pr.baseRefName}', this)" title="Sync with base branch">🔄 Sync with ${pr.baseRefName}</button>`;
+  }
+
+  /**
+   * Build the merge method selector and the merge or auto-merge button
+   * @param {PullRequest} pr - Pull request
+   * @param {string} kind - "merge" or "auto-merge"
+   * @returns {string} - HTML of the merge controls
+   */
+  createMergeControls(pr, kind) {
+    const methods = pr.allowedMergeMethods;
+    if (methods.length === 0) return "";
+
+    const preferred = localStorage.getItem("github_merge_method");
+    const selected = methods.includes(preferred) ? preferred : methods[0];
+    const select =
+      methods.length > 1
+        ? `<select class="merge-method-select" title="Merge method">${methods
+            .map(
+              (method) =>
+                `<option value="${method}"${method === selected ? " selected" : ""}>${method.toLowerCase()}</option>`,
+            )
+            .join("")}</select>`
+        : "";
+    const button =
+      kind === "merge"
+        ? `<button class="merge-button" data-merge-method="${selected}" onclick="window.main.handleMergePullRequest('${pr.id}', this)" title="Merge pull request">🔀 Merge</button>`
+        : `<button class="auto-merge-button" data-merge-method="${selected}" onclick="window.main.handleEnableAutoMerge('${pr.id}', this)" title="Merge automatically once CI passes">🤖 Enable auto-merge</button>`;
+
+    return `<span class="merge-controls">${select}${button}</span>`;
+  }
+
+  /**
+   * Read the merge method chosen next to a merge button
+   * @param {HTMLButtonElement} button - Merge or auto-merge button
+   * @returns {string} - "MERGE", "SQUASH" or "REBASE"
+   */
+  getSelectedMergeMethod(button) {
+    const select = button.parentElement.querySelector(".merge-method-select");
+    const method = select ? select.value : button.dataset.mergeMethod;
+    localStorage.setItem("github_merge_method", method);
+    return method;
   }
 
   showLoading(show) {
@@ -728,9 +1901,16 @@ class GitHubPRDashboard {
     }
   }
 
-  showError(message) {
+  /**
+   * @param {string} message - Error message
+   * @param {string} ssoUrl - SAML SSO authorization URL to link to (optional)
+   */
+  showError(message, ssoUrl = null) {
     const errorDiv = document.getElementById("errorMessage");
     errorDiv.textContent = message;
+    if (ssoUrl) {
+      errorDiv.append(" ", createSsoLink(ssoUrl));
+    }
     errorDiv.style.display = "block";
   }
 
@@ -750,8 +1930,28 @@ class GitHubPRDashboard {
   updateNoPrsMessage() {
     const noPrsText = document.getElementById("noPrsText");
     if (noPrsText && this.organization) {
-      noPrsText.textContent = `No assigned pull requests found in the ${this.organization} organization.`;
+      noPrsText.textContent = `No pull requests found for "${window.view.label}" in ${window.org.describeSelection(this.organization)}.`;
+    }
+  }
+
+  /**
+   * Show how many PRs were loaded compared to the total reported by the search
+   * @param {number} loaded - Number of PRs loaded across all pages
+   * @param {number} total - issueCount reported by the GraphQL search
+   * @param {number} shown - Number of PRs matching the filter bar
+   */
+  updatePRCount(loaded, total, shown = loaded) {
+    const countElement = document.getElementById("prCount");
+    if (!countElement) return;
+
+    countElement.textContent =
+      loaded === total
+        ? `${total} pull request${total === 1 ? "" : "s"}`
+        : `${loaded} of ${total} pull requests loaded`;
+    if (shown < loaded) {
+      countElement.textContent = `${shown} shown · ${countElement.textContent}`;
     }
+    countElement.className = loaded < total ? "pr-count-partial" : "";
   }
 
   handleRateLimitInfo(rateLimitInfo) {
@@ -770,6 +1970,28 @@ class GitHubPRDashboard {
     }
   }
 
+  /**
+   * Show the state of the API request queue next to the rate limits
+   * @param {Object} queueInfo - Detail of the requestQueueChanged event
+   */
+  handleRequestQueueInfo(queueInfo) {
+    const queueElement = document.getElementById("requestQueue");
+    if (!queueElement) return;
+
+    const { pending, active, paused } = queueInfo;
+    const parts = paused.map(
+      ({ type, until, reason }) =>
+        `${type === "graphql" ? "GraphQL" : "REST"} paused until ${until.toLocaleTimeString()} (${reason})`,
+    );
+    if (pending > 0) {
+      parts.push(`Queue: ${pending} pending, ${active} in flight`);
+    }
+
+    queueElement.textContent = parts.join(" · ");
+    queueElement.className =
+      paused.length > 0 ? "rate-limit-low" : "rate-limit-ok";
+  }
+
   updateLastRefreshed() {
     this.lastRefreshTime = new Date();
     this.updateRelativeTime();
@@ -842,6 +2064,20 @@ class GitHubPRDashboard {
     this.scheduleButtonReset(button, resetDelay);
   }
 
+  /**
+   * Explain next to a button why its action failed, until the button resets
+   * @param {HTMLButtonElement} button - The button that was clicked
+   * @param {string} message - Reason of the failure
+   * @param {number} resetDelay - Delay before the explanation is removed
+   */
+  showActionError(button, message, resetDelay) {
+    const note = document.createElement("div");
+    note.className = "action-error";
+    note.textContent = message;
+    button.after(note);
+    setTimeout(() => note.remove(), resetDelay);
+  }
+
   scheduleButtonReset(button, delay) {
     setTimeout(() => {
       this.resetButton(button);
@@ -864,8 +2100,13 @@ class GitHubPRDashboard {
    * @param {Function} actionConfig.action - Async function to execute
    * @param {Function} actionConfig.onSuccess - Function to handle success result
    * @param {Function} actionConfig.onError - Function to handle error (optional)
+   * @param {Object} actionConfig.offlineAction - { type, params, description } to queue when offline (optional)
    */
   async handleActionButton(button, actionConfig) {
+    if (this.queueOfflineAction(button, actionConfig.offlineAction)) {
+      return;
+    }
+
     this.setButtonLoading(button, actionConfig.loadingText);
 
     try {
@@ -873,7 +2114,9 @@ class GitHubPRDashboard {
       actionConfig.onSuccess(result);
     } catch (error) {
       console.error(`Action button error:`, error);
-      if (actionConfig.onError) {
+      if (this.isNetworkError(error) && actionConfig.offlineAction) {
+        this.queueOfflineAction(button, actionConfig.offlineAction, true);
+      } else if (actionConfig.onError) {
         actionConfig.onError(error);
       } else {
         this.setButtonError(button, "❌ Error");
@@ -881,14 +2124,41 @@ class GitHubPRDashboard {
     }
   }
 
+  /**
+   * Queue a write action for replay once back online
+   * @param {HTMLButtonElement} button - The button that was clicked
+   * @param {Object} offlineAction - { type, params, description }, see OFFLINE_ACTIONS
+   * @param {boolean} force - Queue even if the browser reports being online
+   * @returns {boolean} - Whether the action was queued
+   */
+  queueOfflineAction(button, offlineAction, force = false) {
+    if (!offlineAction || (!force && !window.offlineQueue.isOffline)) {
+      return false;
+    }
+
+    const { type, params, description } = offlineAction;
+    window.offlineQueue.enqueue(type, params, description);
+    if (!button.dataset.originalText) {
+      button.dataset.originalText = button.textContent;
+    }
+    this.setButtonWarning(button, "📤 Queued");
+    return true;
+  }
+
   /**
    * Handle converting a draft PR to ready for review
    * @param {string} nodeId - Pull request node ID (GraphQL ID)
    * @param {HTMLButtonElement} button - The button that was clicked
    */
   async handleConvertDraftToOpen(nodeId, button) {
+    const pr = this.pullRequests.get(nodeId);
     await this.handleActionButton(button, {
       loadingText: "⏳ Converting...",
+      offlineAction: pr && {
+        type: "mark-ready",
+        params: { nodeId },
+        description: `Mark ${pr.repository.nameWithOwner}#${pr.number} ready for review`,
+      },
       action: async () => {
         return await window.githubAPI.markPullRequestReadyForReview(
           nodeId,
@@ -909,6 +2179,70 @@ class GitHubPRDashboard {
     });
   }
 
+  /**
+   * Handle merging a PR with the selected merge method
+   * @param {string} nodeId - Pull request node ID (GraphQL ID)
+   * @param {HTMLButtonElement} button - The button that was clicked
+   */
+  async handleMergePullRequest(nodeId, button) {
+    const mergeMethod = this.getSelectedMergeMethod(button);
+
+    await this.handleActionButton(button, {
+      loadingText: "⏳ Merging...",
+      action: async () => {
+        return await window.githubAPI.mergePullRequest(
+          nodeId,
+          mergeMethod,
+          (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+        );
+      },
+      onSuccess: (result) => {
+        this.setButtonSuccess(button, "✅ Merged");
+        // Refresh the PR data to update the UI
+        setTimeout(() => {
+          this.loadPullRequests();
+        }, 1000);
+      },
+      onError: (error) => {
+        console.error("Error merging pull request:", error);
+        button.title = error.message;
+        this.setButtonError(button, `❌ ${error.message}`, 8000);
+      },
+    });
+  }
+
+  /**
+   * Handle enabling auto-merge on a PR with the selected merge method
+   * @param {string} nodeId - Pull request node ID (GraphQL ID)
+   * @param {HTMLButtonElement} button - The button that was clicked
+   */
+  async handleEnableAutoMerge(nodeId, button) {
+    const mergeMethod = this.getSelectedMergeMethod(button);
+
+    await this.handleActionButton(button, {
+      loadingText: "⏳ Enabling...",
+      action: async () => {
+        return await window.githubAPI.enablePullRequestAutoMerge(
+          nodeId,
+          mergeMethod,
+          (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+        );
+      },
+      onSuccess: (result) => {
+        this.setButtonSuccess(button, "✅ Auto-merge enabled");
+        // Refresh the PR data to update the UI
+        setTimeout(() => {
+          this.loadPullRequests();
+        }, 1000);
+      },
+      onError: (error) => {
+        console.error("Error enabling auto-merge:", error);
+        button.title = error.message;
+        this.setButtonError(button, `❌ ${error.message}`, 8000);
+      },
+    });
+  }
+
   /**
    * Handle syncing a PR branch with the base branch
    * @param {string} repoNameWithOwner - Repository name with owner (e.g., "owner/repo")
@@ -926,6 +2260,11 @@ class GitHubPRDashboard {
 
     await this.handleActionButton(button, {
       loadingText: "⏳ Syncing...",
+      offlineAction: {
+        type: "update-branch",
+        params: { owner, repo, pullNumber },
+        description: `Sync ${repoNameWithOwner}#${pullNumber} with ${baseBranch}`,
+      },
       action: async () => {
         return await window.githubAPI.updatePullRequestBranch(
           owner,
@@ -957,6 +2296,22 @@ class GitHubPRDashboard {
   async handleRerunFailedJobs(repoNameWithOwner, sha, button) {
     const [owner, repo] = repoNameWithOwner.split("/");
 
+    if (window.auth.isMissingScope("workflow")) {
+      button.title = "Re-running jobs requires a token with the workflow scope";
+      this.setButtonError(button, "❌ Needs workflow scope", 5000);
+      return;
+    }
+
+    if (
+      this.queueOfflineAction(button, {
+        type: "rerun",
+        params: { owner, repo, sha },
+        description: `Re-run failed jobs of ${repoNameWithOwner}@${sha.slice(0, 7)}`,
+      })
+    ) {
+      return;
+    }
+
     // Update button state to loading
     const originalText = button.textContent;
     button.textContent = "⏳ Running...";
@@ -991,14 +2346,37 @@ class GitHubPRDashboard {
 
       // Re-run failed jobs for each failed run
       let successCount = 0;
+      let permissionError = null;
       for (const run of failedRuns) {
-        const success = await window.githubAPI.rerunFailedJobs(
-          owner,
-          repo,
-          run.id,
-          (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
-        );
-        if (success) successCount++;
+        try {
+          await window.githubAPI.rerunFailedJobs(
+            owner,
+            repo,
+            run.id,
+            (rateLimitInfo) => this.handleRateLimitInfo(rateLimitInfo),
+          );
+          successCount++;
+        } catch (error) {
+          console.error(
+            `Error re-running failed jobs for ${repoNameWithOwner} run ${run.id}:`,
+            error,
+          );
+          if (error instanceof GitHubPermissionError) {
+            permissionError = error;
+          }
+        }
+      }
+
+      const row = button.closest("tr[data-pr-id]");
+      if (successCount > 0 && row) {
+        this.watchCheckRuns(row.dataset.prId, { afterAction: true });
+      }
+
+      if (permissionError && successCount === 0) {
+        button.dataset.originalText = originalText;
+        this.setButtonError(button, "❌ Not allowed", 10000);
+        this.showActionError(button, permissionError.message, 10000);
+        return;
       }
 
       // Update button based on results
@@ -0,0 +1,205 @@
+const CI_STATE_RANK = { FAILURE: 0, ERROR: 0, PENDING: 1, SUCCESS: 2 };
+
+// Values PRs can be sorted by, ascending. null/undefined sort last.
+const SORT_KEYS = {
+  organization: (pr) => pr.organization.toLowerCase(),
+  repository: (pr) => pr.repository.name.toLowerCase(),
+  author: (pr) => (pr.author ? pr.author.login.toLowerCase() : null),
+  title: (pr) => pr.getTitleWithoutTicket().toLowerCase(),
+  status: (pr) => {
+    if (pr.isDraft) return 3;
+    if (pr.hasBeenApproved()) return 0;
+    if (pr.hasChangesRequested()) return 1;
+    return 2;
+  },
+  behind: (pr) => pr.behindCount,
+  ci: (pr) => {
+    const statusRollup = pr.getStatusCheckRollup();
+    return statusRollup ? CI_STATE_RANK[statusRollup.state] : null;
+  },
+  created: (pr) => new Date(pr.createdAt).getTime(),
+  updated: (pr) => new Date(pr.updatedAt).getTime(),
+};
+
+/**
+ * Built-in order: ready to merge first, blocked by others last, then the
+ * least recently updated first
+ */
+function comparePriority(a, b) {
+  const aIsReadyToBeMerged = a.isReadyToBeMerged();
+  const bIsReadyToBeMerged = b.isReadyToBeMerged();
+
+  // PRs that are ready to be merged go to top
+  if (aIsReadyToBeMerged && !bIsReadyToBeMerged) return -1;
+  if (!aIsReadyToBeMerged && bIsReadyToBeMerged) return 1;
+
+  const aIsBlockedByOther = a.isBlockedByOther();
+  const bIsBlockedByOther = b.isBlockedByOther();
+
+  // PRs that are blocked by other go to bottom
+  if (aIsBlockedByOther && !bIsBlockedByOther) return 1;
+  if (!aIsBlockedByOther && bIsBlockedByOther) return -1;
+
+  // Within same category, sort by updatedAt (oldest first)
+  return new Date(a.updatedAt) - new Date(b.updatedAt);
+}
+
+// Named sort orders, in the same format as the "sort" URL parameter
+const SORT_PRESETS = {
+  priority: "Priority",
+  "-updated": "Recently updated",
+  updated: "Least recently updated",
+  "-created": "Newest",
+  created: "Oldest",
+};
+
+const DEFAULT_SORT = "priority";
+
+/**
+ * Sort order of the PR tables. An order is either the "priority" preset or
+ * a list of keys, most significant first, e.g. "repository,-updated" ("-"
+ * for descending). It is read from the "sort" URL parameter, falling back
+ * to the last order the user picked.
+ */
+class PullRequestSorter {
+  constructor() {
+    document.querySelectorAll("th[data-sort-key]").forEach((th) => {
+      th.classList.add("sortable");
+      th.title = "Click to sort, Shift+click to add a secondary sort";
+    });
+    // Delegated so copies of the header (e.g. in groups) are sortable too
+    document.addEventListener("click", (e) => {
+      const th = e.target.closest("th[data-sort-key]");
+      if (th) {
+        this.handleHeaderClick(th.dataset.sortKey, e.shiftKey);
+      }
+    });
+
+    const presetDropdown = document.getElementById("sortPreset");
+    Object.entries(SORT_PRESETS).forEach(([order, label]) => {
+      const option = document.createElement("option");
+      option.value = order;
+      option.textContent = label;
+      presetDropdown.appendChild(option);
+    });
+    const customOption = document.createElement("option");
+    customOption.value = "";
+    customOption.textContent = "Custom";
+    customOption.disabled = true;
+    presetDropdown.appendChild(customOption);
+    presetDropdown.addEventListener("change", (e) =>
+      this.dispatchSortChanged(e.target.value),
+    );
+  }
+
+  get sortOrder() {
+    const urlParams = new URLSearchParams(window.location.search);
+    return (
+      urlParams.get("sort") ||
+      localStorage.getItem("github_sort_order") ||
+      DEFAULT_SORT
+    );
+  }
+
+  /**
+   * Parsed sort keys of the current order, empty for the priority preset
+   * @returns {Array<Object>} - { key, descending }
+   */
+  get sortKeys() {
+    if (this.sortOrder === DEFAULT_SORT) return [];
+    return this.sortOrder
+      .split(",")
+      .map((part) => ({
+        key: part.replace(/^-/, ""),
+        descending: part.startsWith("-"),
+      }))
+      .filter(({ key }) => SORT_KEYS[key]);
+  }
+
+  /**
+   * Whether the order depends on behind counts, which load after the rows
+   */
+  get needsBehindCounts() {
+    return this.sortKeys.some(({ key }) => key === "behind");
+  }
+
+  compare(a, b) {
+    const sortKeys = this.sortKeys;
+    if (sortKeys.length === 0) {
+      return comparePriority(a, b);
+    }
+
+    for (const { key, descending } of sortKeys) {
+      const aValue = SORT_KEYS[key](a);
+      const bValue = SORT_KEYS[key](b);
+      if (aValue === bValue) continue;
+      if (aValue === null || aValue === undefined) return 1;
+      if (bValue === null || bValue === undefined) return -1;
+      const result = aValue < bValue ? -1 : 1;
+      return descending ? -result : result;
+    }
+    return 0;
+  }
+
+  /**
+   * Sort by a column, or toggle its direction when it already is the first
+   * key, keeping the secondary keys. With additive, the column is added as
+   * (or toggled in place as) a secondary key instead.
+   * @param {string} key - Key of SORT_KEYS
+   * @param {boolean} additive - Keep the current keys (Shift+click)
+   */
+  handleHeaderClick(key, additive) {
+    const sortKeys = this.sortKeys;
+    const existing = sortKeys.find((sortKey) => sortKey.key === key);
+
+    let newKeys;
+    if (existing && (additive || sortKeys[0] === existing)) {
+      existing.descending = !existing.descending;
+      newKeys = sortKeys;
+    } else if (additive) {
+      newKeys = [...sortKeys, { key, descending: false }];
+    } else {
+      newKeys = [{ key, descending: false }];
+    }
+
+    this.dispatchSortChanged(
+      newKeys
+        .map(({ key, descending }) => `${descending ? "-" : ""}${key}`)
+        .join(","),
+    );
+  }
+
+  dispatchSortChanged(sortOrder) {
+    localStorage.setItem("github_sort_order", sortOrder);
+    window.dispatchEvent(
+      new CustomEvent("sortChanged", {
+        detail: { sort: sortOrder },
+      }),
+    );
+  }
+
+  /**
+   * Show the current order in the preset dropdown and the column headers
+   */
+  updateUI() {
+    const sortOrder = this.sortOrder;
+    document.getElementById("sortPreset").value = SORT_PRESETS[sortOrder]
+      ? sortOrder
+      : "";
+
+    const sortKeys = this.sortKeys;
+    document.querySelectorAll("th[data-sort-key]").forEach((th) => {
+      const index = sortKeys.findIndex(({ key }) => key === th.dataset.sortKey);
+      th.classList.toggle("sorted", index !== -1);
+      if (index === -1) {
+        delete th.dataset.sortIndicator;
+        return;
+      }
+      const arrow = sortKeys[index].descending ? "▼" : "▲";
+      th.dataset.sortIndicator =
+        sortKeys.length > 1 ? `${arrow}${index + 1}` : arrow;
+    });
+  }
+}
+
+window.sorter = new PullRequestSorter();
@@ -0,0 +1,87 @@
+const CACHE_NAME = "tower-shell-v1";
+
+// Static files of the dashboard, enough to start it offline
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "style.css",
+  "cache.js",
+  "github.js",
+  "auth.js",
+  "org.js",
+  "view.js",
+  "notifications.js",
+  "offline.js",
+  "sort.js",
+  "filter.js",
+  "group.js",
+  "conventions.js",
+  "flaky.js",
+  "script.js",
+  "bootstrap.js",
+  "manifest.webmanifest",
+  "icon.svg",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL_FILES)),
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Shell files: network first so updates show up, cache when offline.
+// GitHub API calls are left to the page, which has its own caches.
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches
+            .open(CACHE_NAME)
+            .then((cache) => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(event.request, { ignoreSearch: true })
+          .then((cached) => cached || caches.match("index.html")),
+      ),
+  );
+});
+
+// Background Sync: the token and API client live in the page, so ask the
+// open dashboards to replay the actions queued while offline
+self.addEventListener("sync", (event) => {
+  if (event.tag !== "replay-actions") return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((clients) => {
+      clients.forEach((client) =>
+        client.postMessage({ type: "replay-actions" }),
+      );
+    }),
+  );
+});
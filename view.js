@@ -0,0 +1,111 @@
+const SEARCH_VIEWS = {
+  assigned: {
+    label: "Assigned to me",
+    qualifiers: "assignee:@me",
+  },
+  authored: {
+    label: "Authored by me",
+    qualifiers: "author:@me",
+  },
+  "review-requested": {
+    label: "Review requested from me",
+    qualifiers: "user-review-requested:@me",
+  },
+  "team-review-requested": {
+    label: "Review requested from my team",
+    qualifiers: "review-requested:@me -user-review-requested:@me",
+  },
+  mentions: {
+    label: "Mentions me",
+    qualifiers: "mentions:@me",
+  },
+  custom: {
+    label: "Custom search",
+    qualifiers: null,
+  },
+};
+
+const DEFAULT_VIEW = "assigned";
+
+class GitHubSearchView {
+  constructor() {
+    const dropdown = document.getElementById("viewDropdown");
+    const customInput = document.getElementById("customQuery");
+
+    Object.entries(SEARCH_VIEWS).forEach(([key, view]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = view.label;
+      dropdown.appendChild(option);
+    });
+
+    dropdown.addEventListener("change", (e) => {
+      const view = e.target.value;
+      this.updateCustomQueryUI(view);
+      if (view === "custom" && !customInput.value.trim()) {
+        customInput.focus();
+        return;
+      }
+      this.dispatchViewChanged(view, customInput.value.trim());
+    });
+
+    customInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.dispatchViewChanged("custom", customInput.value.trim());
+      }
+    });
+  }
+
+  dispatchViewChanged(view, customQuery) {
+    window.dispatchEvent(
+      new CustomEvent("viewChanged", {
+        detail: { view, customQuery },
+      }),
+    );
+  }
+
+  /**
+   * Sync the view dropdown and custom query input with the URL state
+   */
+  updateUI() {
+    const view = this.selectedView;
+    document.getElementById("viewDropdown").value = view;
+    document.getElementById("customQuery").value = this.customQuery;
+    this.updateCustomQueryUI(view);
+  }
+
+  updateCustomQueryUI(view) {
+    document
+      .getElementById("customQuery")
+      .classList.toggle("hidden", view !== "custom");
+  }
+
+  get selectedView() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const view = urlParams.get("view");
+    return SEARCH_VIEWS[view] ? view : DEFAULT_VIEW;
+  }
+
+  get customQuery() {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get("q") || "";
+  }
+
+  get label() {
+    return SEARCH_VIEWS[this.selectedView].label;
+  }
+
+  /**
+   * GitHub search qualifiers for the selected view, appended to
+   * "is:pr is:open org:X" when searching for pull requests
+   * @returns {string} - Search qualifiers
+   */
+  get qualifiers() {
+    if (this.selectedView === "custom") {
+      return this.customQuery;
+    }
+    return SEARCH_VIEWS[this.selectedView].qualifiers;
+  }
+}
+
+window.view = new GitHubSearchView();